@@ -48,11 +48,19 @@
             else if ( t instanceof RegExp ) {
                 return "regexp";
             }
+            else if ( is_binary(t) ) {
+                return "binary";
+            }
         default:
             return s;
         }
     }
 
+    // Buffer (a Uint8Array subclass) or Uint8Array: stored as BSON binary data
+    function is_binary( t ) {
+        return typeof Uint8Array !== "undefined" && t instanceof Uint8Array;
+    }
+
     function classof(o) {
         if (o === null) return "Null";
         if (o === undefined) return "Undefined";
@@ -154,10 +162,6 @@
             }
         }
 
-        // empty, return it
-        if ( keys.length === 0 )
-            return obj;
-
         var newObj = {};
         newObj[ _key ] = _value; // set in the front
 
@@ -191,287 +195,4509 @@
         return array_of_objs;
     }
 
+    // all errors thrown by mongolite carry the "mongolite: " prefix and a name
+    function MongoliteError( message ) {
+        this.name = 'MongoliteError';
+        this.message = 'mongolite: ' + message;
+        var e = new Error( this.message );
+        this.stack = e.stack;
+    }
+    MongoliteError.prototype = Object.create( Error.prototype );
+    MongoliteError.prototype.constructor = MongoliteError;
 
-    //////////////////////////////////////////////////
-    // 
-    // Classes
-    // 
+    // makes an error class inheriting from parent, MongoliteError by default. props are copied onto each error
+    function error_class( name, code, parent )
+    {
+        var E = function( message, props ) {
+            MongoliteError.call( this, message );
+            this.name = name;
+            if ( code !== undefined )
+                this.code = code;
+            for ( var k in props ) {
+                if ( props.hasOwnProperty(k) )
+                    this[k] = props[k];
+            }
+        };
+        E.prototype = Object.create( ( parent || MongoliteError ).prototype );
+        E.prototype.constructor = E;
+        return E;
+    }
 
-    /**
-     *
-     * Class: db_result
-     *
-     */
-    function db_result( arg ) 
+    // a unique index already has the value, like MongoDB's E11000. Has .index and .value
+    var DuplicateKeyError = error_class( 'DuplicateKeyError', 11000 );
+
+    // save() couldn't write the db; the file on disk is left as it was. Has .path and .cause, the underlying error
+    var SaveError = error_class( 'SaveError' );
+
+    // a save ran out of room: a full disk, or the browser's storage quota. Is a SaveError
+    var QuotaError = error_class( 'QuotaError', undefined, SaveError );
+
+    // an error writing path -> QuotaError if it was for lack of room, else SaveError
+    function storage_error( path, e )
     {
-        this.length = 0;
-        this._data = [];            
+        var quota = e.code === 'ENOSPC' || e.code === 'EDQUOT' || e.code === 22 || e.code === 1014 ||
+                    e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+        if ( quota )
+            return new QuotaError( 'no room to save "' + path + '": ' + e.message, {path:path, cause:e} );
+        return new SaveError( 'failed writing "' + path + '": ' + e.message, {path:path, cause:e} );
+    }
 
-        // sort of a copy-constructor. If Array of Obj is passed in,
-        //  we clone it into _data 
-        if ( arguments.length === 1 && type_of(arg) === "array" ) 
-        {
-            for ( var i = 0, l = arg.length; i < l; i++ ) {
-                this.push( arg[i] );
-            }
+    // another process changed the db file since it was loaded, see reload(). Has .path
+    var ConflictError = error_class( 'ConflictError' );
+
+    // the db file is locked by another process. Has .path, of the lockfile, and .holder: {pid, host, time}
+    var LockError = error_class( 'LockError' );
+
+    // a row failed the validator set with setValidator(). Has .errors: [{path, message}], and ._id
+    var ValidationError = error_class( 'ValidationError', 121 );
+
+    // an encrypted db couldn't be read: the key or passphrase is wrong, none was given, or the data was tampered with
+    var DecryptionError = error_class( 'DecryptionError' );
+
+    // is the string a numeric array index, eg. "0", "12"
+    function is_index( s ) {
+        return /^\d+$/.test( s );
+    }
+
+    // returns the value at a dotted path, eg. "address.city" or "tags.0",
+    //  or undefined if any part of the path is missing
+    function get_path( obj, path )
+    {
+        var parts = path.split('.');
+        var cur = obj;
+        for ( var i = 0, l = parts.length; i < l; i++ ) {
+            if ( cur === null || cur === undefined || typeof cur !== "object" )
+                return undefined;
+            if ( type_of(cur) === "array" && !is_index(parts[i]) )
+                return undefined;
+            if ( !cur.hasOwnProperty(parts[i]) )
+                return undefined;
+            cur = cur[parts[i]];
         }
+        return cur;
     }
 
-    db_result.prototype = {
-        push: function( O ) {
-            if ( type_of(O) === "object" )
-                this._data.push(JSON.parse(JSON.stringify(O)));
-            this.length = this._data.length;
-            return this;
-        },
+    // returns every value reachable at a dotted path, for querying. Walks through
+    //  arrays along the way, so "items.sku" yields the sku of each element of
+    //  items, while "items.0.sku" yields only the first one's
+    function get_path_values( obj, path )
+    {
+        var out = [];
+        var parts = path.split('.');
 
-        /* 
-         SELECT * FROM users WHERE status = "A" ORDER BY user_id ASC
-           db.users.find( { status: "A" } ).sort( { user_id: 1 } )
-         SELECT * FROM users WHERE status = "A" ORDER BY user_id DESC
-           db.users.find( { status: "A" } ).sort( { user_id: -1 } ) 
-        */
-        sort: function( O ) {
-            var key = _firstKey(O);
-            var val = O[key];
+        (function walk( cur, i ) {
+            if ( i === parts.length ) {
+                out.push( cur );
+                return;
+            }
+            if ( type_of(cur) === "array" ) {
+                if ( is_index(parts[i]) ) {
+                    if ( Number(parts[i]) < cur.length )
+                        walk( cur[parts[i]], i+1 );
+                    return;
+                }
+                cur.forEach(function(elt) {
+                    if ( is_plain_object(elt) )
+                        walk( elt, i );
+                });
+                return;
+            }
+            if ( is_plain_object(cur) && cur.hasOwnProperty(parts[i]) )
+                walk( cur[parts[i]], i+1 );
+        })( obj, 0 );
 
-            this._data.sort(function(a,b) 
-            {
-                if ( !a[key] )
-                    return -val;
-                else if ( !b[key] )
-                    return val;
-                if ( typeof a[key] === "string" && typeof b[key] === "string" )
-                    return a[key].localeCompare(b[key]) * val;
-                else
-                    return a[key] > b[key] ? val : -val;
+        return out;
+    }
+
+    // values plus the elements of any array values, for matching like MongoDB
+    //  does, where a query on an array field also tests each element
+    function expand_arrays( values )
+    {
+        var out = [];
+        values.forEach(function(v) {
+            out.push( v );
+            if ( type_of(v) === "array" )
+                Array.prototype.push.apply( out, v );
+        });
+        return out;
+    }
+
+    // $in: is any value (or array element) equal to, or matched by a regex in, list
+    function in_list( values, list )
+    {
+        // {field:{$in:[null]}} matches a missing field
+        if ( values.length === 0 )
+            return list.some(function(want) { return want === null; });
+        var all = expand_arrays( values );
+        return list.some(function(want) {
+            return all.some(function(v) {
+                if ( type_of(want) === "regexp" )
+                    return typeof v === "string" && want.test( v );
+                return deep_equal( v, want );
             });
+        });
+    }
 
-            return this;
-        },
+    // $type, by MongoDB alias or number
+    function matches_type( v, t )
+    {
+        var t_of = type_of(v);
+        switch ( t ) {
+        case "double": case 1:
+        case "number":
+            return t_of === "number";
+        case "string": case 2:
+            return t_of === "string";
+        case "object": case 3:
+            return is_plain_object(v);
+        case "array": case 4:
+            return t_of === "array";
+        case "bool": case 8:
+            return t_of === "boolean";
+        case "date": case 9:
+            return t_of === "date";
+        case "null": case 10:
+            return v === null;
+        case "regex": case 11:
+            return t_of === "regexp";
+        case "binData": case 5:
+            return t_of === "binary";
+        case "int": case 16:
+            return t_of === "number" && v % 1 === 0;
+        case "long": case 18:
+            return t_of === "bigint" || ( t_of === "number" && v % 1 === 0 );
+        default:
+            return false;
+        }
+    }
 
-        limit: function( _l ) {
-            var lim = Number(_l);
-            if ( type_of(lim) !== "number" )
-                return this;
-            this._data.splice( lim, this._data.length - lim );
-            this.length = this._data.length;
-            return this;
-        },
+    // sets the value at a dotted path, creating intermediate objects as needed
+    function set_path( obj, path, value )
+    {
+        var parts = path.split('.');
+        var cur = obj;
+        for ( var i = 0, l = parts.length - 1; i < l; i++ ) {
+            var part = parts[i];
+            if ( type_of(cur) === "array" && !is_index(part) )
+                throw new MongoliteError( 'cannot create field "' + part + '" in array at "' + path + '"' );
+            if ( cur[part] === undefined || cur[part] === null )
+                cur[part] = {};
+            else if ( typeof cur[part] !== "object" || type_of(cur[part]) === "date" || type_of(cur[part]) === "regexp" || type_of(cur[part]) === "binary" )
+                throw new MongoliteError( 'cannot create field "' + parts[i+1] + '" in non-object at "' + path + '"' );
+            cur = cur[part];
+        }
+        var last = parts[parts.length-1];
+        if ( type_of(cur) === "array" && !is_index(last) )
+            throw new MongoliteError( 'cannot create field "' + last + '" in array at "' + path + '"' );
+        cur[last] = value;
+    }
 
-        skip: function( s ) {
-            var skp = Number(s);
-            if ( type_of(skp) !== "number" )
-                return this;
-            this._data.splice( 0, skp );
-            this.length = this._data.length;
-            return this;
-        },
+    // removes the value at a dotted path. Array elements are set to null, like MongoDB
+    // returns true if something was removed
+    function unset_path( obj, path )
+    {
+        var parts = path.split('.');
+        var last = parts.pop();
+        var parent = parts.length ? get_path( obj, parts.join('.') ) : obj;
+        if ( parent === null || parent === undefined || typeof parent !== "object" )
+            return false;
+        if ( !parent.hasOwnProperty(last) )
+            return false;
+        if ( type_of(parent) === "array" ) {
+            if ( !is_index(last) )
+                return false;
+            parent[last] = null;
+        } else {
+            delete parent[last];
+        }
+        return true;
+    }
 
-        distinct: function( O ) {
-            return this;
-        },
+    // a copy of a RegExp without the g and y flags, whose test() would go on from lastIndex, the end
+    //  of the last match, and so miss matches in the next value. anything else is given back as is
+    function stateless_regex( v )
+    {
+        if ( type_of(v) !== "regexp" )
+            return v;
+        var flags = v.flags !== undefined ? v.flags : (v + '').replace(/.*\//, '');
+        return /[gy]/.test( flags ) ? new RegExp( v.source, flags.replace(/[gy]/g, '') ) : v;
+    }
 
-        count: function() {
-            return this._data.length;
-        },
+    // copies objects & arrays recursively, keeps Date and RegExp intact
+    function deep_clone( v )
+    {
+        switch ( type_of(v) ) {
+        case "date":
+            return new Date( v.getTime() );
+        case "regexp":
+            return new RegExp( v.source, v.flags !== undefined ? v.flags : (v + '').replace(/.*\//, '') );
+        case "binary":
+            return typeof Buffer !== "undefined" && Buffer.isBuffer( v ) ? Buffer.from( v ) : new Uint8Array( v );
+        case "array":
+            return v.map( deep_clone );
+        case "object":
+            if ( v === null )
+                return v;
+            var o = {};
+            for ( var k in v ) {
+                if ( v.hasOwnProperty(k) )
+                    o[k] = deep_clone( v[k] );
+            }
+            return o;
+        default:
+            return v;
+        }
+    }
 
-        getArray: function() {
-            return this._data;
-        },
-        get_json: function(fmt) {
-            if ( arguments.length === 0 )
-                return JSON.stringify(this._data);
-            return JSON.stringify(this._data,null,fmt);
+    // structural equality. Object key order matters, as it does in MongoDB.
+    //  a BigInt equals the number with the same value, as NumberLong(1) equals 1
+    function deep_equal( a, b )
+    {
+        var ta = type_of(a), tb = type_of(b);
+        if ( ta !== tb )
+            return bson_rank(a) === 2 && bson_rank(b) === 2 && a == b;
+        switch ( ta ) {
+        case "date":
+            return a.getTime() === b.getTime();
+        case "regexp":
+            return a + '' === b + '';
+        case "binary":
+            if ( a.length !== b.length )
+                return false;
+            for ( var n = 0; n < a.length; n++ ) {
+                if ( a[n] !== b[n] )
+                    return false;
+            }
+            return true;
+        case "array":
+            if ( a.length !== b.length )
+                return false;
+            for ( var i = 0; i < a.length; i++ ) {
+                if ( !deep_equal( a[i], b[i] ) )
+                    return false;
+            }
+            return true;
+        case "object":
+            if ( a === null || b === null )
+                return a === b;
+            var ka = Object.keys(a), kb = Object.keys(b);
+            if ( ka.length !== kb.length )
+                return false;
+            for ( var j = 0; j < ka.length; j++ ) {
+                if ( ka[j] !== kb[j] || !deep_equal( a[ka[j]], b[kb[j]] ) )
+                    return false;
+            }
+            return true;
+        default:
+            return a === b;
         }
-    }; // db_result
+    }
 
+    // a plain object (not Array, Date, RegExp or null)
+    function is_plain_object( o ) {
+        return type_of(o) === "object" && o !== null;
+    }
 
-    /**
-     *
-     * Class: db_object
-     *  - returned by open()
-     *  - contains entire database w/ accessor methods
-     *
-     */
-    function db_object( config ) 
+    // MongoDB's order for values of different types:
+    //  null & missing < numbers (and BigInts) < strings < objects < arrays < binary data < booleans < dates < regexps
+    function bson_rank( v )
     {
-        this.platform = config.platform;
-        this.db_path = config.db_path;
-        this.db_dir = config.db_dir;
-        this.db_name = config.db_name;
-        this.use_gzip = config.use_gzip || false;
+        switch ( type_of(v) ) {
+        case "undefined":
+            return 1;
+        case "number":
+        case "bigint":
+            return 2;
+        case "string":
+            return 3;
+        case "object":
+            return v === null ? 1 : 4;
+        case "array":
+            return 5;
+        case "binary":
+            return 6;
+        case "boolean":
+            return 8;
+        case "date":
+            return 9;
+        case "regexp":
+            return 11;
+        default:
+            return 12;
+        }
+    }
+
+    // -1, 0 or 1, in MongoDB's order. collator, if given, compares strings
+    function compare_values( a, b, collator )
+    {
+        var ra = bson_rank(a), rb = bson_rank(b);
+        if ( ra !== rb )
+            return ra < rb ? -1 : 1;
+
+        var c = 0;
+        switch ( type_of(a) ) {
+        case "string":
+            c = collator ? collator( a, b ) : ( a < b ? -1 : ( a > b ? 1 : 0 ) );     // code points, as $lt and $gt do
+            break;
+        case "number":
+        case "bigint":
+        case "date":
+            c = a < b ? -1 : ( a > b ? 1 : 0 );
+            break;
+        case "binary":
+            // shorter first, then byte by byte
+            c = a.length - b.length;
+            for ( var n = 0; n < a.length && c === 0; n++ )
+                c = a[n] - b[n];
+            break;
+        case "boolean":
+            c = a === b ? 0 : ( a ? 1 : -1 );
+            break;
+        case "regexp":
+            c = a + '' < b + '' ? -1 : ( a + '' > b + '' ? 1 : 0 );
+            break;
+        case "array":
+            for ( var i = 0; i < a.length && i < b.length && c === 0; i++ )
+                c = compare_values( a[i], b[i], collator );
+            if ( c === 0 )
+                c = a.length - b.length;
+            break;
+        case "object":
+            if ( a === null )
+                break;
+            var ka = Object.keys(a), kb = Object.keys(b);
+            for ( var j = 0; j < ka.length && j < kb.length && c === 0; j++ ) {
+                c = compare_values( a[ka[j]], b[kb[j]], collator );
+                if ( c === 0 && ka[j] !== kb[j] )
+                    c = ka[j] < kb[j] ? -1 : 1;
+            }
+            if ( c === 0 )
+                c = ka.length - kb.length;
+            break;
+        default:
+            break;
+        }
+        return c < 0 ? -1 : ( c > 0 ? 1 : 0 );
+    }
+
+    // string comparison function for a MongoDB-style collation:
+    //  {locale:"en", strength:1|2|3, numericOrdering:true, caseFirst:"upper"|"lower"}
+    //  strength 1 ignores case & accents, 2 ignores case. locale "simple" compares code points
+    function make_collator( collation )
+    {
+        if ( !collation )
+            return null;
+        if ( !is_plain_object(collation) )
+            throw new MongoliteError( 'collation must be an object' );
+        if ( collation.locale === 'simple' )
+            return function( a, b ) { return a < b ? -1 : ( a > b ? 1 : 0 ); };
+
+        var opts = { numeric: !!collation.numericOrdering };
+        var strength = collation.strength || 3;
+        opts.sensitivity = strength === 1 ? 'base' : ( strength === 2 ? 'accent' : 'variant' );
+        if ( collation.caseFirst && collation.caseFirst !== 'off' )
+            opts.caseFirst = collation.caseFirst;
+
+        if ( typeof Intl !== "undefined" && Intl.Collator )
+            return new Intl.Collator( collation.locale, opts ).compare;
+        return function( a, b ) { return a.localeCompare( b, collation.locale, opts ); };
+    }
+
+    // the value an array field sorts by: its smallest element ascending, largest descending
+    function sort_key( v, dir, collator )
+    {
+        if ( type_of(v) !== "array" )
+            return v;
+        if ( v.length === 0 )
+            return undefined;
+        return v.reduce(function(best, elt) {
+            var c = compare_values( elt, best, collator );
+            return ( dir > 0 ? c < 0 : c > 0 ) ? elt : best;
+        });
+    }
+
+    // sorts a copy of arr with compare, keeping equal elements in their original order
+    function stable_sort( arr, compare )
+    {
+        return arr.map(function(v, i) { return {v:v, i:i}; })
+                  .sort(function(a, b) { return compare( a.v, b.v ) || a.i - b.i; })
+                  .map(function(d) { return d.v; });
+    }
+
+    // rows ordered by spec {field:1|-1, "dotted.field":1, ...}, see make_collator for collation
+    function sort_rows( rows, spec, collation )
+    {
+        if ( !is_plain_object(spec) )
+            throw new MongoliteError( 'sort: needs an object of fields' );
+        var keys = Object.keys( spec );
+        keys.forEach(function(k) {
+            if ( spec[k] !== 1 && spec[k] !== -1 )
+                throw new MongoliteError( 'sort: direction for "' + k + '" must be 1 or -1' );
+        });
+        if ( keys.length === 0 )
+            return rows.slice();
+        var collator = make_collator( collation );
+        return stable_sort( rows, function(a, b) {
+            for ( var i = 0; i < keys.length; i++ ) {
+                var dir = spec[keys[i]];
+                var c = compare_values( sort_key( get_path(a,keys[i]), dir, collator ),
+                                        sort_key( get_path(b,keys[i]), dir, collator ), collator );
+                if ( c !== 0 )
+                    return c * dir;
+            }
+            return 0;
+        });
+    }
+
+
+    //////////////////////////////////////////////////
+    //
+    // update operators
+    //
+    //  each takes ( document, path, argument, op ) and changes document in place.
+    //  op is the parsed operation; for $pull, op.test( element ) tells what to remove
+    //
 
-        this.master = [];
-        this._id = 0;
+    function is_numeric( v )
+    {
+        return typeof v === "number" || typeof v === "bigint";
+    }
 
+    // $inc and $mul operands -> [a, b], both numbers or both BigInts. a BigInt and a whole number
+    //  make BigInts, as an int and a long make a long in MongoDB
+    function same_numeric_type( op, path, a, b )
+    {
+        if ( typeof a === typeof b )
+            return [ a, b ];
+        var n = typeof a === "number" ? a : b;
+        if ( n % 1 !== 0 )
+            throw new MongoliteError( op + ': cannot mix a BigInt and a fractional number at "' + path + '"' );
+        return typeof a === "number" ? [ BigInt( a ), b ] : [ a, BigInt( b ) ];
+    }
 
-        // can populate db explicitly using a json string
-        // - if {}.data set, will override the other loading methods 
-        // - database will still save to named location, normally
-        if ( config.data ) {
-            this.master = JSON.parse( config.data );
-            finish_db_setup.call(this);
+    function update_array_at( doc, path, op )
+    {
+        var arr = get_path( doc, path );
+        if ( arr === undefined ) {
+            arr = [];
+            set_path( doc, path, arr );
+        } else if ( type_of(arr) !== "array" ) {
+            throw new MongoliteError( op + ': field "' + path + '" is not an array' );
         }
+        return arr;
+    }
 
-        //
-        // read in db if it's there
-        //
-        // BROWSER
-        else if ( this.platform === "browser" )
-        {
-            var name = this.db_name.trim();
-            this.db_name = ( !name || name.length===0 || name === "test.db" ) ? 'mongolite' : name;
+    // arguments like {$each:[...],$slice:n} vs. a single value
+    function each_values( arg ) {
+        if ( is_plain_object(arg) && arg.hasOwnProperty('$each') ) {
+            if ( type_of(arg['$each']) !== "array" )
+                throw new MongoliteError( '$each requires an array' );
+            return arg['$each'];
+        }
+        return [ arg ];
+    }
 
-            if ( window.localStorage && localStorage.hasOwnProperty( this.db_name ) ) {
-                var string = localStorage[this.db_name];
-                this.master = JSON.parse( string );
+    var update_operators = {
+        $set: function( doc, path, arg ) {
+            set_path( doc, path, deep_clone(arg) );
+        },
+        $unset: function( doc, path ) {
+            unset_path( doc, path );
+        },
+        $inc: function( doc, path, arg ) {
+            if ( !is_numeric(arg) )
+                throw new MongoliteError( '$inc: cannot increment with non-numeric argument at "' + path + '"' );
+            var cur = get_path( doc, path );
+            if ( cur !== undefined && !is_numeric(cur) )
+                throw new MongoliteError( '$inc: field "' + path + '" is not a number' );
+            var n = same_numeric_type( '$inc', path, cur === undefined ? 0 : cur, arg );
+            set_path( doc, path, n[0] + n[1] );
+        },
+        $mul: function( doc, path, arg ) {
+            if ( !is_numeric(arg) )
+                throw new MongoliteError( '$mul: cannot multiply with non-numeric argument at "' + path + '"' );
+            var cur = get_path( doc, path );
+            if ( cur !== undefined && !is_numeric(cur) )
+                throw new MongoliteError( '$mul: field "' + path + '" is not a number' );
+            var n = same_numeric_type( '$mul', path, cur === undefined ? 0 : cur, arg );
+            set_path( doc, path, n[0] * n[1] );
+        },
+        $rename: function( doc, path, arg ) {
+            var cur = get_path( doc, path );
+            if ( cur === undefined )
+                return;
+            unset_path( doc, path );
+            set_path( doc, arg, cur );
+        },
+        $min: function( doc, path, arg ) {
+            var cur = get_path( doc, path );
+            if ( cur === undefined || compare_values( arg, cur ) < 0 )
+                set_path( doc, path, deep_clone(arg) );
+        },
+        $max: function( doc, path, arg ) {
+            var cur = get_path( doc, path );
+            if ( cur === undefined || compare_values( arg, cur ) > 0 )
+                set_path( doc, path, deep_clone(arg) );
+        },
+        $currentDate: function( doc, path, arg ) {
+            if ( is_plain_object(arg) && arg['$type'] === "timestamp" )
+                set_path( doc, path, Date.now() );
+            else
+                set_path( doc, path, new Date() );
+        },
+        $push: function( doc, path, arg ) {
+            var arr = update_array_at( doc, path, '$push' );
+            var values = each_values( arg ).map( deep_clone );
+            var pos = arr.length;
+            if ( is_plain_object(arg) && arg.hasOwnProperty('$position') ) {
+                pos = arg['$position'];
+                if ( pos < 0 )
+                    pos = Math.max( 0, arr.length + pos );
+            }
+            Array.prototype.splice.apply( arr, [pos, 0].concat(values) );
+
+            if ( is_plain_object(arg) && arg.hasOwnProperty('$sort') ) {
+                var spec = arg['$sort'];
+                var sorted = is_plain_object(spec) ? sort_rows( arr, spec ) :
+                    stable_sort( arr, function(a, b) { return compare_values( a, b ) * spec; } );
+                arr.length = 0;
+                Array.prototype.push.apply( arr, sorted );
             }
+            if ( is_plain_object(arg) && arg.hasOwnProperty('$slice') ) {
+                var n = arg['$slice'];
+                var kept = n < 0 ? arr.slice( n ) : arr.slice( 0, n );
+                if ( n === 0 )
+                    kept = [];
+                arr.length = 0;
+                Array.prototype.push.apply( arr, kept );
+            }
+        },
+        $addToSet: function( doc, path, arg ) {
+            var arr = update_array_at( doc, path, '$addToSet' );
+            each_values( arg ).forEach(function(v) {
+                for ( var i = 0; i < arr.length; i++ ) {
+                    if ( deep_equal( arr[i], v ) )
+                        return;
+                }
+                arr.push( deep_clone(v) );
+            });
+        },
+        $pop: function( doc, path, arg ) {
+            var arr = get_path( doc, path );
+            if ( arr === undefined )
+                return;
+            if ( type_of(arr) !== "array" )
+                throw new MongoliteError( '$pop: field "' + path + '" is not an array' );
+            if ( arg === -1 )
+                arr.shift();
+            else
+                arr.pop();
+        },
+        $pull: function( doc, path, arg, op ) {
+            var arr = get_path( doc, path );
+            if ( arr === undefined )
+                return;
+            if ( type_of(arr) !== "array" )
+                throw new MongoliteError( '$pull: field "' + path + '" is not an array' );
+            var kept = arr.filter(function(elt) {
+                return !op.test( elt );
+            });
+            arr.length = 0;
+            Array.prototype.push.apply( arr, kept );
+        }
+    };
+
+    // true if path a and path b are the same field or one contains the other
+    function paths_overlap( a, b ) {
+        return a === b || a.indexOf(b + '.') === 0 || b.indexOf(a + '.') === 0;
+    }
 
-            finish_db_setup.call(this);
+    // checks an update document, returns list of {op,path,arg}.
+    // Throws on unknown operators and on operators that conflict on a path
+    function parse_update( _update )
+    {
+        var ops = [];
+        var touched = [];
+        for ( var op in _update ) {
+            if ( !_update.hasOwnProperty(op) )
+                continue;
+            if ( !update_operators.hasOwnProperty(op) )
+                throw new MongoliteError( 'update: unknown update operator "' + op + '"' );
+            var fields = _update[op];
+            if ( !is_plain_object(fields) )
+                throw new MongoliteError( 'update: argument to ' + op + ' must be an object' );
+            for ( var path in fields ) {
+                if ( !fields.hasOwnProperty(path) )
+                    continue;
+                var paths = [ path ];
+                if ( op === '$rename' ) {
+                    if ( typeof fields[path] !== "string" )
+                        throw new MongoliteError( 'update: $rename target for "' + path + '" must be a string' );
+                    paths.push( fields[path] );
+                }
+                for ( var i = 0; i < paths.length; i++ ) {
+                    for ( var j = 0; j < touched.length; j++ ) {
+                        if ( paths_overlap( paths[i], touched[j].path ) ) {
+                            throw new MongoliteError( 'update: ' + op + ' on "' + paths[i] + '" conflicts with ' +
+                                touched[j].op + ' on "' + touched[j].path + '"' );
+                        }
+                    }
+                }
+                for ( var k = 0; k < paths.length; k++ )
+                    touched.push( {op:op, path:paths[k]} );
+                ops.push( {op:op, path:path, arg:fields[path],
+                           test: op === '$pull' ? compile_pull_test( fields[path] ) : null} );
+            }
         }
+        return ops;
+    }
 
-        // SERVER
-        else if ( this.platform === "node_module" )
-        {
-            var fs = require('fs');
+    // applies parsed ops to a copy of doc, so a failing operator leaves doc untouched.
+    //  returns the changed copy, or null if nothing changed
+    function updated_copy( doc, ops )
+    {
+        var copy = deep_clone( doc );
+        ops.forEach(function(o) {
+            update_operators[o.op]( copy, o.path, o.arg, o );
+        });
+        return deep_equal( doc, copy ) ? null : copy;
+    }
 
-            // presence of .gz extension sets use_gzip
-            if ( this.db_path.lastIndexOf('.gz') === this.db_path.length-3 ) 
-                this.use_gzip = true;
+    // makes doc's fields those of copy, keeping doc's identity
+    function replace_contents( doc, copy )
+    {
+        for ( var k in doc ) {
+            if ( doc.hasOwnProperty(k) )
+                delete doc[k];
+        }
+        for ( var j in copy ) {
+            if ( copy.hasOwnProperty(j) )
+                doc[j] = copy[j];
+        }
+    }
 
-            // if db_path exists, load it
-            if ( fs.existsSync( this.db_path ) ) 
-            {
-                // open the gzip way
-                if ( this.use_gzip ) 
-                {
-                    var gzbz = require('gzbz');
-                    var gunzip = new gzbz.Gunzip;        
-                    gunzip.init( {encoding:'utf8'} );
-                    var gzdata = fs.readFileSync(this.db_path,{encoding:"binary",flag:'r'});
-                    var inflated = gunzip.inflate( gzdata, "binary" );
-                    gunzip.end();
-
-                    // convert into master format
-                    this.master = JSON.parse( inflated );
-                    finish_db_setup.call(this);
-
-                // normal, no gzip
-                } else {
-                    var data = fs.readFileSync(this.db_path,{encoding:"utf8",flag:'r'});
+    // applies parsed ops to doc. returns true if doc changed
+    function apply_update( doc, ops )
+    {
+        var copy = updated_copy( doc, ops );
+        if ( copy )
+            replace_contents( doc, copy );
+        return copy !== null;
+    }
 
-                    // convert into master format
-                    this.master = JSON.parse( data );
-                    finish_db_setup.call(this);
+    // the document an upsert starts from, as in MongoDB: the query's equality clauses, top level
+    //  and in $and. {page:"home", "a.b":1, n:{$gt:2}, $and:[{c:{$eq:3}}]} -> {page:"home", a:{b:1}, c:3}
+    function upsert_seed( query )
+    {
+        var doc = {};
+        var add = function( q ) {
+            if ( !is_plain_object(q) )
+                return;
+            for ( var k in q ) {
+                if ( !q.hasOwnProperty(k) )
+                    continue;
+                var v = q[k];
+                if ( k === '$and' && type_of(v) === "array" ) {
+                    v.forEach( add );
+                    continue;
+                }
+                if ( k.charAt(0) === '$' || type_of(v) === "regexp" )
+                    continue;
+                if ( is_plain_object(v) && _firstKey(v) !== null && _firstKey(v).charAt(0) === '$' ) {
+                    if ( v.hasOwnProperty('$eq') )
+                        set_path( doc, k, deep_clone( v['$eq'] ) );
+                    continue;
                 }
+                set_path( doc, k, deep_clone( v ) );
+            }
+        };
+        add( query );
+        return doc;
+    }
+
+
+    //////////////////////////////////////////////////
+    //
+    // query compiler
+    //
+    //  compile_query( query ) checks a query object and turns it into a predicate,
+    //  function( row ) -> true|false. The query object is never modified, so both
+    //  it and the predicate can be reused. Throws MongoliteError on unknown operators.
+    //
+
+    // CLAUSE_NORMAL | CLAUSE_SUBDOCUMENT_MATCH | CLAUSE_CONDITIONAL | CLAUSE_SUBDOCUMENT |
+    // CLAUSE_OR | CLAUSE_AND | CLAUSE_NOR | CLAUSE_ARRAY | CLAUSE_UNKNOWN
+    function clause_type( key, value )
+    {
+        switch ( type_of(value) )
+        {
+        case "boolean":
+        case "date":
+        case "number":
+        case "bigint":
+        case "binary":
+        case "string": // NORMAL | SUBDOCUMENT_MATCH
+        case "regexp":
+            return key.indexOf('.') === -1 ? "CLAUSE_NORMAL" : "CLAUSE_SUBDOCUMENT_MATCH";
+        case "object": // CONDITIONAL | SUBDOCUMENT
+            var fk = _firstKey(value);
+            return fk !== null && fk.charAt(0) === '$' ? "CLAUSE_CONDITIONAL" : "CLAUSE_SUBDOCUMENT";
+        case "array": // OR | AND | NOR | ARRAY
+            switch(key) {
+            case '$or':
+                return "CLAUSE_OR";
+            case '$and':
+                return "CLAUSE_AND";
+            case '$nor':
+                return "CLAUSE_NOR";
+            default:
+                return "CLAUSE_ARRAY";
             }
+        default:
+            break;
         }
+        return "CLAUSE_UNKNOWN";
+    }
+
+    function match_all() {
+        return true;
+    }
+
+    // equality: any value, or element of an array value, is equal.
+    //  {field:null} also matches rows that don't have field
+    function compile_equals( want )
+    {
+        return function( values ) {
+            if ( want === null && values.length === 0 )
+                return true;
+            var all = expand_arrays( values );
+            for ( var i = 0, l = all.length; i < l; i++ ) {
+                if ( deep_equal( all[i], want ) )
+                    return true;
+            }
+            return false;
+        };
+    }
+
+    // the type $gt, $lt & co. compare values of: a BigInt compares with numbers, as MongoDB's longs do
+    function range_type( v )
+    {
+        var t = type_of(v);
+        return t === "bigint" ? "number" : t;
+    }
+
+    // $lt, $lte, $gt, $gte. Like MongoDB, only values of the same type compare: "20" is not > 10
+    function compile_range( test )
+    {
+        return function( operand ) {
+            return function( values ) {
+                var all = expand_arrays( values );
+                for ( var i = 0, l = all.length; i < l; i++ ) {
+                    var v = all[i];
+                    if ( v === null || operand === null || type_of(v) === "array" || range_type(v) !== range_type(operand) )
+                        continue;
+                    if ( test( v, operand ) )
+                        return true;
+                }
+                return false;
+            };
+        };
+    }
+
+    // each takes ( operand, operator_object, path ) and returns function( values ) -> true|false,
+    //  where values are those found at path in a row
+    var field_operators = {
+        $eq: compile_equals,
+        $ne: function( operand ) {
+            var eq = compile_equals( operand );
+            return function( values ) { return !eq( values ); };
+        },
+        $gt: compile_range(function(a,b) { return a > b; }),
+        $gte: compile_range(function(a,b) { return a >= b; }),
+        $lt: compile_range(function(a,b) { return a < b; }),
+        $lte: compile_range(function(a,b) { return a <= b; }),
+        $exists: function( operand ) {
+            return function( values ) { return (values.length > 0) === !!operand; };
+        },
+        $in: function( operand, spec, path ) {
+            if ( type_of(operand) !== "array" )
+                throw new MongoliteError( 'query: $in needs an array at "' + path + '"' );
+            var list = operand.map( stateless_regex );
+            return function( values ) { return in_list( values, list ); };
+        },
+        $nin: function( operand, spec, path ) {
+            if ( type_of(operand) !== "array" )
+                throw new MongoliteError( 'query: $nin needs an array at "' + path + '"' );
+            var list = operand.map( stateless_regex );
+            return function( values ) { return !in_list( values, list ); };
+        },
+        $regex: function( operand, spec, path ) {
+            var options = spec['$options'] || '';
+            var re;
+            if ( type_of(operand) === "regexp" )
+                re = options ? new RegExp( operand.source, options ) : operand;
+            else if ( typeof operand === "string" )
+                re = new RegExp( operand, options );
+            else
+                throw new MongoliteError( 'query: $regex needs a string or RegExp at "' + path + '"' );
+            re = stateless_regex( re );
+            return function( values ) {
+                return expand_arrays( values ).some(function(v) { return typeof v === "string" && re.test( v ); });
+            };
+        },
+        $options: function( operand, spec, path ) {
+            if ( !spec.hasOwnProperty('$regex') )
+                throw new MongoliteError( 'query: $options without $regex at "' + path + '"' );
+            return match_all; // used by $regex
+        },
+        $type: function( operand ) {
+            var types = type_of(operand) === "array" ? operand : [ operand ];
+            return function( values ) {
+                return values.some(function(v) {
+                    return types.some(function(t) {
+                        if ( matches_type( v, t ) )
+                            return true;
+                        // elements of an array are tested too
+                        return type_of(v) === "array" && v.some(function(elt) { return matches_type( elt, t ); });
+                    });
+                });
+            };
+        },
+        $mod: function( operand, spec, path ) {
+            if ( type_of(operand) !== "array" || operand.length !== 2 || !operand[0] )
+                throw new MongoliteError( 'query: $mod needs [divisor, remainder] at "' + path + '"' );
+            return function( values ) {
+                return expand_arrays( values ).some(function(v) {
+                    return typeof v === "number" && v % operand[0] === operand[1];
+                });
+            };
+        },
+        $not: function( operand, spec, path ) {
+            var inner;
+            if ( type_of(operand) === "regexp" )
+                inner = compile_field_test( path, operand );
+            else if ( clause_type( path, operand ) === "CLAUSE_CONDITIONAL" )
+                inner = compile_operators( path, operand );
+            else
+                throw new MongoliteError( 'query: $not needs an operator object or RegExp at "' + path + '"' );
+            return function( values ) { return !inner( values ); };
+        },
+
+        // array operators test the array as a whole
+        $size: function( operand, spec, path ) {
+            if ( typeof operand !== "number" )
+                throw new MongoliteError( 'query: $size needs a number at "' + path + '"' );
+            return function( values ) {
+                return values.some(function(v) { return type_of(v) === "array" && v.length === operand; });
+            };
+        },
+        $all: function( operand, spec, path ) {
+            if ( type_of(operand) !== "array" )
+                throw new MongoliteError( 'query: $all needs an array at "' + path + '"' );
+            return function( values ) {
+                var all = expand_arrays( values );
+                return operand.length > 0 && operand.every(function(want) {
+                    return all.some(function(v) { return deep_equal( v, want ); });
+                });
+            };
+        },
+        $elemMatch: function( operand, spec, path ) {
+            if ( !is_plain_object(operand) )
+                throw new MongoliteError( 'query: $elemMatch needs an object at "' + path + '"' );
+            var elt_matches = compile_element_test( operand );
+            return function( values ) {
+                return values.some(function(v) {
+                    return type_of(v) === "array" && v.some( elt_matches );
+                });
+            };
+        }
+    };
+
+    // {$gt:1,$lt:9} -> function( values ), all operators must match
+    function compile_operators( path, spec )
+    {
+        var tests = [];
+        for ( var op in spec ) {
+            if ( !spec.hasOwnProperty(op) )
+                continue;
+            if ( !field_operators.hasOwnProperty(op) ) {
+                if ( op.charAt(0) === '$' )
+                    throw new MongoliteError( 'query: unknown operator "' + op + '" at "' + path + '"' );
+                throw new MongoliteError( 'query: cannot mix operators and fields at "' + path + '"' );
+            }
+            tests.push( field_operators[op]( spec[op], spec, path ) );
+        }
+        return function( values ) {
+            for ( var i = 0, l = tests.length; i < l; i++ ) {
+                if ( !tests[i]( values ) )
+                    return false;
+            }
+            return true;
+        };
+    }
+
+    // the test for one clause {path:value} -> function( values )
+    function compile_field_test( path, value )
+    {
+        switch ( clause_type( path, value ) )
+        {
+        case "CLAUSE_NORMAL": // simple key/value
+        case "CLAUSE_SUBDOCUMENT_MATCH": // dotted key: "address.city"
+            if ( type_of(value) === "regexp" ) {
+                // RegExps: equiv to SQL "like" statement
+                return function( values ) {
+                    return expand_arrays( values ).some(function(v) {
+                        return type_of(v) !== "array" && (v + '').match( value ) !== null;
+                    });
+                };
+            }
+            return compile_equals( value );
+        case "CLAUSE_SUBDOCUMENT": // whole embedded document
+        case "CLAUSE_ARRAY": // whole array
+            return compile_equals( value );
+        case "CLAUSE_CONDITIONAL":
+            return compile_operators( path, value );
+        default:
+            return match_all;
+        }
+    }
+
+    // does one array element satisfy cond, as in $elemMatch.
+    //  cond is either operators for the element itself: {$gte:80,$lt:85}
+    //  or a query on the fields of a subdocument element: {product:"xyz",score:{$gte:8}}
+    function compile_element_test( cond )
+    {
+        var fk = _firstKey(cond);
+        if ( fk !== null && field_operators.hasOwnProperty(fk) ) {
+            var test = compile_operators( '$elemMatch', cond );
+            return function( elt ) { return test( [elt] ); };
+        }
+        var query = compile_query( cond );
+        return function( elt ) { return is_plain_object(elt) && query( elt ); };
+    }
+
+    // $pull condition: a query on the element, a RegExp, or a value to remove
+    function compile_pull_test( cond )
+    {
+        if ( is_plain_object(cond) )
+            return compile_element_test( cond );
+        if ( type_of(cond) === "regexp" ) {
+            var re = stateless_regex( cond );
+            return function( elt ) { return typeof elt === "string" && re.test( elt ); };
+        }
+        return function( elt ) { return deep_equal( elt, cond ); };
+    }
+
+    function compile_logical( op, clauses )
+    {
+        if ( type_of(clauses) !== "array" || clauses.length === 0 )
+            throw new MongoliteError( 'query: ' + op + ' needs a non-empty array' );
+        return clauses.map(function(q) {
+            if ( !is_plain_object(q) )
+                throw new MongoliteError( 'query: each ' + op + ' clause must be an object' );
+            return compile_query( q );
+        });
+    }
+
+    function compile_query( query )
+    {
+        // compiled already
+        if ( typeof query === "function" )
+            return query;
+
+        // CLAUSE_EMPTY, or find(/.*/) which also means everything
+        if ( query === undefined || query === null || type_of(query) === "regexp" )
+            return match_all;
+
+        if ( !is_plain_object(query) )
+            throw new MongoliteError( 'query: must be an object' );
+
+        var tests = [];
+        Object.keys( query ).forEach(function(key) {
+            var value = query[key];
+            var subs;
+            switch ( clause_type( key, value ) )
+            {
+            case "CLAUSE_OR":
+                subs = compile_logical( key, value );
+                tests.push(function( row ) {
+                    for ( var i = 0, l = subs.length; i < l; i++ ) {
+                        if ( subs[i]( row ) )
+                            return true;
+                    }
+                    return false;
+                });
+                return;
+            case "CLAUSE_AND":
+                subs = compile_logical( key, value );
+                tests.push(function( row ) {
+                    for ( var i = 0, l = subs.length; i < l; i++ ) {
+                        if ( !subs[i]( row ) )
+                            return false;
+                    }
+                    return true;
+                });
+                return;
+            case "CLAUSE_NOR":
+                subs = compile_logical( key, value );
+                tests.push(function( row ) {
+                    for ( var i = 0, l = subs.length; i < l; i++ ) {
+                        if ( subs[i]( row ) )
+                            return false;
+                    }
+                    return true;
+                });
+                return;
+            default:
+                if ( key.charAt(0) === '$' )
+                    throw new MongoliteError( 'query: unknown top-level operator "' + key + '"' );
+                var test = compile_field_test( key, value );
+                tests.push(function( row ) {
+                    return test( get_path_values( row, key ) );
+                });
+            }
+        });
+
+        var predicate = function( row ) {
+            for ( var i = 0, l = tests.length; i < l; i++ ) {
+                if ( !tests[i]( row ) )
+                    return false;
+            }
+            return true;
+        };
+
+        // kept for do_query, to find an index to narrow the rows down with
+        predicate.query = deep_clone( query );
+        return predicate;
+    }
+
+
+    //////////////////////////////////////////////////
+    //
+    // projection
+    //
+    //  compile_projection( spec ) turns find()'s second argument into
+    //  function( row ) -> new object with only the requested fields.
+    //  Fields are copied straight out of the row, so the row itself is never cloned whole.
+    //
+
+    // adds "a.b.c" to tree as {a:{b:{c:true}}}
+    function add_projection_path( tree, path )
+    {
+        var parts = path.split('.');
+        var node = tree;
+        for ( var i = 0, l = parts.length; i < l; i++ ) {
+            var last = i === l - 1;
+            if ( node[parts[i]] === true || ( last && node.hasOwnProperty(parts[i]) ) )
+                throw new MongoliteError( 'projection: path collision at "' + path + '"' );
+            if ( last )
+                node[parts[i]] = true;
+            else
+                node = node[parts[i]] = node[parts[i]] || {};
+        }
+    }
+
+    // copies only the fields in tree
+    function project_include( value, tree )
+    {
+        if ( type_of(value) === "array" ) {
+            return value.filter( is_plain_object ).map(function(elt) {
+                return project_include( elt, tree );
+            });
+        }
+        var out = {};
+        for ( var k in value ) {
+            if ( !value.hasOwnProperty(k) || !tree.hasOwnProperty(k) )
+                continue;
+            if ( tree[k] === true )
+                out[k] = deep_clone( value[k] );
+            else if ( is_plain_object(value[k]) || type_of(value[k]) === "array" )
+                out[k] = project_include( value[k], tree[k] );
+        }
+        return out;
+    }
+
+    // copies everything except the fields in tree
+    function project_exclude( value, tree )
+    {
+        if ( type_of(value) === "array" ) {
+            return value.map(function(elt) {
+                return is_plain_object(elt) ? project_exclude( elt, tree ) : deep_clone( elt );
+            });
+        }
+        var out = {};
+        for ( var k in value ) {
+            if ( !value.hasOwnProperty(k) || tree[k] === true )
+                continue;
+            if ( tree.hasOwnProperty(k) && ( is_plain_object(value[k]) || type_of(value[k]) === "array" ) )
+                out[k] = project_exclude( value[k], tree[k] );
+            else
+                out[k] = deep_clone( value[k] );
+        }
+        return out;
+    }
+
+    // {$slice:n} keeps the first n (or last -n) elements, {$slice:[skip,n]} n elements after skip
+    function slice_array( arr, arg )
+    {
+        if ( type_of(arg) === "array" ) {
+            var skip = arg[0] < 0 ? Math.max( 0, arr.length + arg[0] ) : arg[0];
+            return arr.slice( skip, skip + arg[1] );
+        }
+        if ( arg < 0 )
+            return arr.slice( arg );
+        return arr.slice( 0, arg );
+    }
+
+    function compile_projection( spec )
+    {
+        if ( spec === undefined || spec === null || _firstKey(spec) === null )
+            return null;
+        if ( !is_plain_object(spec) )
+            throw new MongoliteError( 'projection: must be an object' );
+
+        var include = {}, exclude = {};
+        var n_include = 0, n_exclude = 0;
+        var slices = [], elem_matches = [];
+        var keep_id = true;
+
+        Object.keys( spec ).forEach(function(path) {
+            var v = spec[path];
+            if ( is_plain_object(v) ) {
+                if ( v.hasOwnProperty('$slice') ) {
+                    var arg = v['$slice'];
+                    if ( typeof arg !== "number" && !( type_of(arg) === "array" && arg.length === 2 && arg[1] > 0 ) )
+                        throw new MongoliteError( 'projection: $slice needs a number or [skip, limit] at "' + path + '"' );
+                    slices.push( {path:path, arg:arg} );
+                } else if ( v.hasOwnProperty('$elemMatch') ) {
+                    if ( path.indexOf('.') !== -1 )
+                        throw new MongoliteError( 'projection: $elemMatch cannot be used on dotted path "' + path + '"' );
+                    if ( !is_plain_object(v['$elemMatch']) )
+                        throw new MongoliteError( 'projection: $elemMatch needs an object at "' + path + '"' );
+                    elem_matches.push( {path:path, test:compile_element_test( v['$elemMatch'] )} );
+                    ++n_include;
+                } else {
+                    throw new MongoliteError( 'projection: unknown operator "' + _firstKey(v) + '" at "' + path + '"' );
+                }
+            } else if ( path === '_id' ) {
+                keep_id = !!v;
+            } else if ( v ) {
+                add_projection_path( include, path );
+                ++n_include;
+            } else {
+                add_projection_path( exclude, path );
+                ++n_exclude;
+            }
+        });
+
+        if ( n_include && n_exclude )
+            throw new MongoliteError( 'projection: cannot mix inclusion and exclusion' );
+
+        // {_id:1} alone returns only _id
+        var inclusion = n_include > 0 || ( keep_id && spec.hasOwnProperty('_id') && !slices.length );
+
+        if ( inclusion ) {
+            if ( keep_id )
+                include['_id'] = true;
+            slices.forEach(function(s) {
+                if ( !include.hasOwnProperty(s.path.split('.')[0]) )
+                    add_projection_path( include, s.path );
+            });
+        } else if ( !keep_id ) {
+            exclude['_id'] = true;
+        }
+
+        return function( row ) {
+            var out = inclusion ? project_include( row, include ) : project_exclude( row, exclude );
+
+            slices.forEach(function(s) {
+                var arr = get_path( out, s.path );
+                if ( type_of(arr) === "array" )
+                    set_path( out, s.path, slice_array( arr, s.arg ) );
+            });
+
+            // first matching element only
+            elem_matches.forEach(function(em) {
+                var arr = row[em.path];
+                if ( type_of(arr) !== "array" )
+                    return;
+                for ( var i = 0; i < arr.length; i++ ) {
+                    if ( em.test( arr[i] ) ) {
+                        out[em.path] = [ deep_clone( arr[i] ) ];
+                        return;
+                    }
+                }
+            });
+
+            return out;
+        };
+    }
+
+
+    //////////////////////////////////////////////////
+    //
+    // distinct & grouping
+    //
+
+    // a string identifying a value, for telling values apart quickly.
+    //  two values have the same key exactly when deep_equal() says they are equal
+    function value_key( v )
+    {
+        switch ( type_of(v) ) {
+        case "date":
+            return 'd:' + v.getTime();
+        case "regexp":
+            return 'r:' + v;
+        case "bigint":
+            // the same key as an equal number
+            return v == Number( v ) ? value_key( Number( v ) ) : 'l:' + v;
+        case "binary":
+            return 'b:' + Array.prototype.join.call( v, ',' );
+        case "undefined":
+            return 'u:';
+        case "number":
+            // JSON has no Infinity or NaN: it would write null for all three
+            return 'number:' + ( isFinite( v ) ? JSON.stringify( v ) : String( v ) );
+        case "array":
+            return 'a:[' + v.map( value_key ).join(',') + ']';
+        case "object":
+            if ( v === null )
+                return 'n:';
+            return 'o:{' + Object.keys(v).map(function(k) {
+                return JSON.stringify(k) + ':' + value_key( v[k] );
+            }).join(',') + '}';
+        default:
+            return typeof v + ':' + JSON.stringify( v );
+        }
+    }
+
+    // the unique values of field in rows. Array values contribute each of their elements
+    function distinct_values( rows, field )
+    {
+        var seen = {};
+        var out = [];
+        rows.forEach(function(row) {
+            get_path_values( row, field ).forEach(function(v) {
+                var vals = type_of(v) === "array" ? v : [ v ];
+                vals.forEach(function(elt) {
+                    var k = value_key( elt );
+                    if ( seen.hasOwnProperty(k) )
+                        return;
+                    seen[k] = true;
+                    out.push( deep_clone(elt) );
+                });
+            });
+        });
+        return out;
+    }
+
+    // evaluates an aggregation expression against row:
+    //  "$field.path" reads a field ("$$ROOT" is the row itself), {$op:args} computes,
+    //  other objects & arrays are evaluated member by member, anything else is a literal
+    function evaluate_expression( row, expr )
+    {
+        if ( typeof expr === "string" && expr.charAt(0) === '$' ) {
+            if ( expr === '$$ROOT' )
+                return row;
+            return expression_path( row, expr.replace(/^\$(\$ROOT\.)?/, '').split('.') );
+        }
+        if ( type_of(expr) === "array" ) {
+            return expr.map(function(e) { return evaluate_expression( row, e ); });
+        }
+        if ( is_plain_object(expr) ) {
+            var op = _firstKey(expr);
+            if ( op !== null && op.charAt(0) === '$' ) {
+                if ( !expression_operators.hasOwnProperty(op) )
+                    throw new MongoliteError( 'aggregate: unknown expression operator "' + op + '"' );
+                if ( op === '$literal' )
+                    return expr[op];
+                return expression_operators[op]( row, expr[op] );
+            }
+            var o = {};
+            Object.keys(expr).forEach(function(k) {
+                o[k] = evaluate_expression( row, expr[k] );
+            });
+            return o;
+        }
+        return expr;
+    }
+
+    // field path of an expression. A path through an array gives an array, so
+    //  "$items.sku" is the list of each item's sku
+    function expression_path( value, parts )
+    {
+        for ( var i = 0; i < parts.length; i++ ) {
+            if ( type_of(value) === "array" ) {
+                var rest = parts.slice( i );
+                return value.filter( is_plain_object ).map(function(elt) {
+                    return expression_path( elt, rest );
+                }).filter(function(v) { return v !== undefined; });
+            }
+            if ( !is_plain_object(value) || !value.hasOwnProperty(parts[i]) )
+                return undefined;
+            value = value[parts[i]];
+        }
+        return value;
+    }
+
+    // evaluates an array of argument expressions
+    function expression_args( row, args, op, n )
+    {
+        if ( type_of(args) !== "array" )
+            args = [ args ];
+        if ( n !== undefined && args.length !== n )
+            throw new MongoliteError( 'aggregate: ' + op + ' takes ' + n + ' arguments' );
+        return args.map(function(a) { return evaluate_expression( row, a ); });
+    }
+
+    function numeric_expression( op, fn ) {
+        return function( row, args ) {
+            var v = expression_args( row, args, op );
+            for ( var i = 0; i < v.length; i++ ) {
+                if ( v[i] === null || v[i] === undefined )
+                    return null;
+            }
+            return fn( v );
+        };
+    }
+
+    function comparison_expression( op, fn ) {
+        return function( row, args ) {
+            var v = expression_args( row, args, op, 2 );
+            return fn( compare_values( v[0], v[1] ) );
+        };
+    }
+
+    var expression_operators = {
+        $literal: null, // handled in evaluate_expression
+        $add: numeric_expression( '$add', function(v) {
+            return v.reduce(function(a,b) { return a + b; }, 0);
+        }),
+        $subtract: numeric_expression( '$subtract', function(v) { return v[0] - v[1]; }),
+        $multiply: numeric_expression( '$multiply', function(v) {
+            return v.reduce(function(a,b) { return a * b; }, 1);
+        }),
+        $divide: numeric_expression( '$divide', function(v) {
+            if ( v[1] === 0 )
+                throw new MongoliteError( 'aggregate: $divide by zero' );
+            return v[0] / v[1];
+        }),
+        $mod: numeric_expression( '$mod', function(v) { return v[0] % v[1]; }),
+        $concat: function( row, args ) {
+            var v = expression_args( row, args, '$concat' );
+            if ( v.some(function(s) { return s === null || s === undefined; }) )
+                return null;
+            return v.join('');
+        },
+        $toUpper: function( row, arg ) {
+            var v = expression_args( row, arg, '$toUpper', 1 )[0];
+            return v === null || v === undefined ? '' : (v + '').toUpperCase();
+        },
+        $toLower: function( row, arg ) {
+            var v = expression_args( row, arg, '$toLower', 1 )[0];
+            return v === null || v === undefined ? '' : (v + '').toLowerCase();
+        },
+        $size: function( row, arg ) {
+            var v = expression_args( row, arg, '$size', 1 )[0];
+            if ( type_of(v) !== "array" )
+                throw new MongoliteError( 'aggregate: $size needs an array' );
+            return v.length;
+        },
+        $arrayElemAt: function( row, args ) {
+            var v = expression_args( row, args, '$arrayElemAt', 2 );
+            if ( type_of(v[0]) !== "array" )
+                return null;
+            var i = v[1] < 0 ? v[0].length + v[1] : v[1];
+            return i >= 0 && i < v[0].length ? v[0][i] : undefined;
+        },
+        $ifNull: function( row, args ) {
+            var v = expression_args( row, args, '$ifNull', 2 );
+            return v[0] === null || v[0] === undefined ? v[1] : v[0];
+        },
+        $cond: function( row, args ) {
+            if ( is_plain_object(args) )
+                args = [ args['if'], args['then'], args['else'] ];
+            if ( type_of(args) !== "array" || args.length !== 3 )
+                throw new MongoliteError( 'aggregate: $cond takes [if, then, else]' );
+            return evaluate_expression( row, args[0] ) ? evaluate_expression( row, args[1] ) : evaluate_expression( row, args[2] );
+        },
+        $and: function( row, args ) {
+            return expression_args( row, args, '$and' ).every(function(v) { return !!v; });
+        },
+        $or: function( row, args ) {
+            return expression_args( row, args, '$or' ).some(function(v) { return !!v; });
+        },
+        $not: function( row, arg ) {
+            return !expression_args( row, arg, '$not', 1 )[0];
+        },
+        $eq: comparison_expression( '$eq', function(c) { return c === 0; }),
+        $ne: comparison_expression( '$ne', function(c) { return c !== 0; }),
+        $gt: comparison_expression( '$gt', function(c) { return c > 0; }),
+        $gte: comparison_expression( '$gte', function(c) { return c >= 0; }),
+        $lt: comparison_expression( '$lt', function(c) { return c < 0; }),
+        $lte: comparison_expression( '$lte', function(c) { return c <= 0; })
+    };
+
+    // each returns a fresh accumulator: add( value ) for each row of a group, then value()
+    var group_accumulators = {
+        $sum: function() {
+            var total = 0;
+            return {
+                add: function( v ) { if ( typeof v === "number" ) total += v; },
+                value: function() { return total; }
+            };
+        },
+        $avg: function() {
+            var total = 0, n = 0;
+            return {
+                add: function( v ) { if ( typeof v === "number" ) { total += v; ++n; } },
+                value: function() { return n ? total / n : null; }
+            };
+        },
+        $min: function() {
+            var min;
+            return {
+                add: function( v ) {
+                    if ( v !== undefined && v !== null && ( min === undefined || compare_values( v, min ) < 0 ) )
+                        min = v;
+                },
+                value: function() { return min === undefined ? null : deep_clone(min); }
+            };
+        },
+        $max: function() {
+            var max;
+            return {
+                add: function( v ) {
+                    if ( v !== undefined && v !== null && ( max === undefined || compare_values( v, max ) > 0 ) )
+                        max = v;
+                },
+                value: function() { return max === undefined ? null : deep_clone(max); }
+            };
+        },
+        $push: function() {
+            var list = [];
+            return {
+                add: function( v ) { if ( v !== undefined ) list.push( deep_clone(v) ); },
+                value: function() { return list; }
+            };
+        },
+        $first: function() {
+            var first, seen = false;
+            return {
+                add: function( v ) { if ( !seen ) { first = v; seen = true; } },
+                value: function() { return first === undefined ? null : deep_clone(first); }
+            };
+        },
+        $last: function() {
+            var last;
+            return {
+                add: function( v ) { last = v; },
+                value: function() { return last === undefined ? null : deep_clone(last); }
+            };
+        }
+    };
+
+    // key function for grouping by field path, eg. "status",
+    //  or by an object of them for a compound key: {s:"status",y:"year"}
+    function field_key( key )
+    {
+        return function( row ) {
+            if ( key === null || key === undefined )
+                return null;
+            if ( typeof key === "string" ) {
+                var v = get_path( row, key );
+                return v === undefined ? null : v;
+            }
+            var o = {};
+            Object.keys(key).forEach(function(k) {
+                var v = get_path( row, key[k] );
+                o[k] = v === undefined ? null : v;
+            });
+            return o;
+        };
+    }
+
+    // groups rows by key_of( row ) and runs the accumulators for each group.
+    //  accumulators is {output_field:{$sum:"$amount"}, ...}, with expressions as operands
+    //  returns [{_id:key_value, output_field:result, ...}, ...] in the order groups were first seen
+    function group_rows( rows, key_of, accumulators )
+    {
+        var specs = [];
+        for ( var name in accumulators ) {
+            if ( !accumulators.hasOwnProperty(name) )
+                continue;
+            var spec = accumulators[name];
+            var op = _firstKey(spec);
+            if ( !is_plain_object(spec) || !group_accumulators.hasOwnProperty(op) )
+                throw new MongoliteError( 'group: unknown accumulator for "' + name + '"' );
+            specs.push( {name:name, op:op, operand:spec[op]} );
+        }
+
+        var groups = {};
+        var order = [];
+        rows.forEach(function(row) {
+            var id = key_of( row );
+            var k = value_key( id );
+            var g = groups[k];
+            if ( !g ) {
+                g = groups[k] = { id:deep_clone(id), acc:specs.map(function(s) { return group_accumulators[s.op](); }) };
+                order.push( g );
+            }
+            specs.forEach(function(s, i) {
+                g.acc[i].add( evaluate_expression( row, s.operand ) );
+            });
+        });
+
+        return order.map(function(g) {
+            var out = { _id:g.id };
+            specs.forEach(function(s, i) {
+                out[s.name] = g.acc[i].value();
+            });
+            return out;
+        });
+    }
+
+
+    //////////////////////////////////////////////////
+    //
+    // aggregation pipeline
+    //
+    //  each stage takes ( rows, argument, context ) and returns the rows for the next stage.
+    //  context.db is the db aggregate() was called on, context.collation its collation option.
+    //  Stages never change the rows they are given: the first stage sees the db's own rows.
+    //
+
+    // a copy of row with fields set from expressions, for $addFields and computed $project fields
+    function add_fields( row, fields, base )
+    {
+        var out = base || deep_clone( row );
+        Object.keys( fields ).forEach(function(path) {
+            var v = evaluate_expression( row, fields[path] );
+            if ( v === undefined )
+                unset_path( out, path );
+            else
+                set_path( out, path, deep_clone(v) );
+        });
+        return out;
+    }
+
+    var pipeline_stages = {
+        $match: function( rows, query ) {
+            return rows.filter( compile_query( query ) );
+        },
+        $project: function( rows, spec ) {
+            if ( !is_plain_object(spec) )
+                throw new MongoliteError( 'aggregate: $project needs an object' );
+            // split 1/0 fields, which are a find() projection, from computed fields
+            var plain = {}, computed = {}, n_computed = 0;
+            Object.keys( spec ).forEach(function(k) {
+                var v = spec[k];
+                if ( v === 0 || v === 1 || v === true || v === false ) {
+                    plain[k] = v;
+                } else {
+                    computed[k] = v;
+                    ++n_computed;
+                }
+            });
+            if ( n_computed === 0 ) {
+                var project = compile_projection( plain );
+                return project ? rows.map( project ) : rows;
+            }
+            // computed fields make it an inclusion projection
+            var tree = {};
+            Object.keys( plain ).forEach(function(k) {
+                if ( k === '_id' )
+                    return;
+                if ( !plain[k] )
+                    throw new MongoliteError( 'aggregate: $project cannot mix computed fields and exclusion of "' + k + '"' );
+                add_projection_path( tree, k );
+            });
+            if ( plain['_id'] !== 0 && plain['_id'] !== false && !computed.hasOwnProperty('_id') )
+                tree['_id'] = true;
+            return rows.map(function(row) {
+                return add_fields( row, computed, project_include( row, tree ) );
+            });
+        },
+        $addFields: function( rows, fields ) {
+            if ( !is_plain_object(fields) )
+                throw new MongoliteError( 'aggregate: $addFields needs an object' );
+            return rows.map(function(row) { return add_fields( row, fields ); });
+        },
+        $group: function( rows, spec ) {
+            if ( !is_plain_object(spec) || !spec.hasOwnProperty('_id') )
+                throw new MongoliteError( 'aggregate: $group needs an _id' );
+            var accumulators = {};
+            Object.keys( spec ).forEach(function(k) {
+                if ( k !== '_id' )
+                    accumulators[k] = spec[k];
+            });
+            return group_rows( rows, function(row) {
+                var id = evaluate_expression( row, spec['_id'] );
+                return id === undefined ? null : id;
+            }, accumulators );
+        },
+        $sort: function( rows, spec, context ) {
+            if ( !is_plain_object(spec) || _firstKey(spec) === null )
+                throw new MongoliteError( 'aggregate: $sort needs an object of fields' );
+            return sort_rows( rows, spec, context.collation );
+        },
+        $skip: function( rows, n ) {
+            if ( typeof n !== "number" || n < 0 )
+                throw new MongoliteError( 'aggregate: $skip needs a positive number' );
+            return rows.slice( n );
+        },
+        $limit: function( rows, n ) {
+            if ( typeof n !== "number" || n < 0 )
+                throw new MongoliteError( 'aggregate: $limit needs a positive number' );
+            return rows.slice( 0, n );
+        },
+        // "$tags" or {path:"$tags", includeArrayIndex:"i", preserveNullAndEmptyArrays:true}
+        $unwind: function( rows, spec ) {
+            if ( typeof spec === "string" )
+                spec = {path:spec};
+            if ( !is_plain_object(spec) || typeof spec.path !== "string" || spec.path.charAt(0) !== '$' )
+                throw new MongoliteError( 'aggregate: $unwind needs a "$field" path' );
+            var path = spec.path.substring(1);
+            var out = [];
+            rows.forEach(function(row) {
+                var arr = get_path( row, path );
+                var copy;
+                if ( type_of(arr) !== "array" || arr.length === 0 ) {
+                    // a non-array value unwinds to itself
+                    if ( arr !== undefined && arr !== null && type_of(arr) !== "array" ) {
+                        copy = deep_clone( row );
+                        if ( spec.includeArrayIndex )
+                            set_path( copy, spec.includeArrayIndex, null );
+                        out.push( copy );
+                    } else if ( spec.preserveNullAndEmptyArrays ) {
+                        copy = deep_clone( row );
+                        if ( type_of(arr) === "array" )
+                            unset_path( copy, path );
+                        if ( spec.includeArrayIndex )
+                            set_path( copy, spec.includeArrayIndex, null );
+                        out.push( copy );
+                    }
+                    return;
+                }
+                arr.forEach(function(elt, i) {
+                    copy = deep_clone( row );
+                    set_path( copy, path, deep_clone(elt) );
+                    if ( spec.includeArrayIndex )
+                        set_path( copy, spec.includeArrayIndex, i );
+                    out.push( copy );
+                });
+            });
+            return out;
+        },
+        $count: function( rows, name ) {
+            if ( typeof name !== "string" || !name || name.charAt(0) === '$' )
+                throw new MongoliteError( 'aggregate: $count needs a field name' );
+            var o = {};
+            o[name] = rows.length;
+            return [ o ];
+        },
+        // {from:other_db, localField:"a", foreignField:"b", as:"joined"}
+        $lookup: function( rows, spec, context ) {
+            if ( !is_plain_object(spec) || typeof spec.as !== "string" ||
+                 typeof spec.localField !== "string" || typeof spec.foreignField !== "string" )
+                throw new MongoliteError( 'aggregate: $lookup needs from, localField, foreignField and as' );
+            var from = typeof spec.from === "string" && context.db ? context.db.collection( spec.from ) : spec.from;
+            if ( !from || typeof from.do_query !== "function" )
+                throw new MongoliteError( 'aggregate: $lookup "from" must be a collection name or an opened db' );
+            return rows.map(function(row) {
+                var local = expand_arrays( get_path_values( row, spec.localField ) ).filter(function(v) {
+                    return type_of(v) !== "array";
+                });
+                // a missing local field joins to foreign rows missing the field
+                if ( local.length === 0 )
+                    local = [ null ];
+                var q = {};
+                q[spec.foreignField] = {$in:local};
+                var copy = deep_clone( row );
+                set_path( copy, spec.as, from.do_query( q ).map( deep_clone ) );
+                return copy;
+            });
+        }
+    };
+    pipeline_stages['$set'] = pipeline_stages['$addFields'];
+
+    function run_pipeline( rows, pipeline, context )
+    {
+        if ( type_of(pipeline) !== "array" )
+            throw new MongoliteError( 'aggregate: pipeline must be an array of stages' );
+        pipeline.forEach(function(stage) {
+            var name = _firstKey( stage );
+            if ( !is_plain_object(stage) || Object.keys(stage).length !== 1 )
+                throw new MongoliteError( 'aggregate: each stage must be an object with one key' );
+            if ( !pipeline_stages.hasOwnProperty(name) )
+                throw new MongoliteError( 'aggregate: unknown stage "' + name + '"' );
+            rows = pipeline_stages[name]( rows, stage[name], context );
+        });
+        return rows;
+    }
+
+
+    //////////////////////////////////////////////////
+    //
+    // storage format
+    //
+    //  a db is stored as a JSON array of its rows. Once it has indexes, named collections or a journal it is stored as
+    //   {"mongolite":1, "indexes":[{"key":{"field":1},"name":"field_1",...}], "data":[rows],
+    //    "collections":{"users":{"indexes":[...], "data":[rows]}, ...}, "journal":n}
+    //  so index definitions are rebuilt when it is opened again. the top level data is the default collection.
+    //  values JSON has no type for are written as MongoDB Extended JSON, so they come back with their types:
+    //   Date {"$date":"2024-01-02T03:04:05.000Z"}, RegExp {"$regex":"^a","$options":"i"}, BigInt {"$numberLong":"7"},
+    //   Buffer or Uint8Array {"$binary":{"base64":"AQI=","subType":"00"}}, NaN and Infinity {"$numberDouble":"NaN"}
+    //
+
+    // JSON.stringify with Extended JSON for Date, RegExp, BigInt, binary data and non-finite numbers.
+    //  indent is JSON.stringify's
+    function ejson_stringify( value, indent )
+    {
+        return JSON.stringify( value, function( key ) {
+            // this[key], not the value passed in, which Date and Buffer have already turned into JSON
+            var v = this[key];
+            switch ( type_of(v) ) {
+            case "date":
+                return { $date:isNaN( v.getTime() ) ? { $numberDouble:"NaN" } : v.toISOString() };
+            case "regexp":
+                return { $regex:v.source, $options:v.flags !== undefined ? v.flags : (v + '').replace(/.*\//, '') };
+            case "bigint":
+                return { $numberLong:String( v ) };
+            case "binary":
+                return { $binary:{ base64:to_base64( v ), subType:"00" } };
+            case "number":
+                return isFinite( v ) ? v : { $numberDouble:String( v ) };
+            default:
+                return v;
+            }
+        }, indent );
+    }
+
+    // is o exactly {key:...} or {key:..., also:...}
+    function ejson_wrapper( o, key, also )
+    {
+        var keys = Object.keys( o );
+        return keys[0] === key && keys.length === ( also ? 2 : 1 ) && ( !also || keys[1] === also );
+    }
+
+    // JSON.parse that turns Extended JSON back into the values ejson_stringify() wrote.
+    //  $numberInt, $numberDouble and the {"$date":{"$numberLong":"ms"}} form are also read
+    function ejson_parse( string )
+    {
+        return JSON.parse( string, function( key, v ) {
+            if ( !is_plain_object(v) )
+                return v;
+            if ( ejson_wrapper( v, '$date' ) ) {
+                // inner $numberLong and $numberDouble are already numbers, unless there is no BigInt
+                var d = is_plain_object(v.$date) ? v.$date.$numberLong : v.$date;
+                return new Date( typeof d === "string" && isNaN( d ) ? d : Number( d ) );
+            }
+            if ( ejson_wrapper( v, '$regex', '$options' ) || ejson_wrapper( v, '$regex' ) && typeof v.$regex === "string" )
+                return new RegExp( v.$regex, v.$options || '' );
+            if ( ejson_wrapper( v, '$numberLong' ) && typeof BigInt !== "undefined" )
+                return BigInt( v.$numberLong );
+            if ( ejson_wrapper( v, '$numberInt' ) || ejson_wrapper( v, '$numberDouble' ) )
+                return Number( v.$numberInt !== undefined ? v.$numberInt : v.$numberDouble );
+            if ( ejson_wrapper( v, '$binary' ) && is_plain_object(v.$binary) && typeof v.$binary.base64 === "string" )
+                return from_base64( v.$binary.base64 );
+            return v;
+        });
+    }
+
+    // returns {data:[rows], indexes:[definitions], collections:{name:{data:[rows], indexes:[definitions]}},
+    //  journal:n of the last journal record in the file}
+    function parse_db_json( string )
+    {
+        var parsed = ejson_parse( string );
+        if ( type_of(parsed) === "array" )
+            return { data:parsed, indexes:[], collections:{}, journal:0 };
+        if ( is_plain_object(parsed) && type_of(parsed.data) === "array" )
+            return { data:parsed.data, indexes:parsed.indexes || [], collections:parsed.collections || {}, journal:parsed.journal || 0 };
+        throw new MongoliteError( 'not a mongolite database' );
+    }
+
+    function db_json( db )
+    {
+        var names = Object.keys( db._collections );
+
+        // every db has the _id_ index
+        if ( db._indexes.length === 1 && names.length === 0 && !db.journal )
+            return ejson_stringify( db.master );
+
+        var o = { mongolite:1, indexes:db.getIndexes(), data:db.master };
+        if ( db.journal )
+            o.journal = db._journal_seq;
+        if ( names.length ) {
+            o.collections = {};
+            names.forEach(function(name) {
+                var c = db._collections[name];
+                o.collections[name] = { indexes:c.getIndexes(), data:c.master };
+            });
+        }
+        return ejson_stringify( o );
+    }
+
+    // writes data to a temp file next to path, fsyncs it and renames it over path, so a crash
+    //  leaves either the old file or the new one, never a truncated mix. with backup, the
+    //  previous version is kept as path.bak. throws SaveError
+    function write_file_atomic( path, data, options )
+    {
+        var fs = require('fs');
+        var tmp = path + '.' + process.pid + '.' + to_hex( random_bytes(4) ) + '.tmp';
+        var fd = null;
+
+        try {
+            // a file that is already there keeps its permissions, and its owner where the process may set it
+            var existing = null;
+            try {
+                existing = fs.statSync( path );
+            } catch(e) {
+                if ( e.code !== 'ENOENT' )
+                    throw e;
+            }
+            fd = fs.openSync( tmp, 'wx', existing ? existing.mode & 4095 : options.mode );     // 07777
+            if ( existing ) {
+                fs.fchmodSync( fd, existing.mode & 4095 );
+                try {
+                    fs.fchownSync( fd, existing.uid, existing.gid );
+                } catch(e) {
+                }
+            }
+            if ( typeof data === "string" )
+                fs.writeSync( fd, data, null, options.encoding || 'utf8' );
+            else
+                fs.writeSync( fd, data, 0, data.length );
+            fs.fsyncSync( fd );
+            fs.closeSync( fd );
+            fd = null;
+
+            if ( options.backup && fs.existsSync( path ) )
+                fs.copyFileSync( path, path + '.bak' );
+
+            fs.renameSync( tmp, path );
+        } catch(e) {
+            try {
+                if ( fd !== null )
+                    fs.closeSync( fd );
+                fs.unlinkSync( tmp );
+            } catch(e2) {
+            }
+            throw storage_error( path, e );
+        }
+
+        // make the rename itself durable. not every platform can fsync a directory
+        try {
+            var dir = fs.openSync( require('path').dirname( path ), 'r' );
+            fs.fsyncSync( dir );
+            fs.closeSync( dir );
+        } catch(e) {
+        }
+    }
+
+    // write_file_atomic, returning a Promise. rejects with SaveError
+    function write_file_atomic_async( path, data, options )
+    {
+        var fsp = require('fs').promises;
+        var tmp = path + '.' + process.pid + '.' + to_hex( random_bytes(4) ) + '.tmp';
+        var handle = null;
+        var existing = null;
+
+        return fsp.stat( path ).then(function(stats) {
+            existing = stats;
+        }, function(e) {
+            if ( e.code !== 'ENOENT' )
+                throw e;
+        }).then(function() {
+            return fsp.open( tmp, 'wx', existing ? existing.mode & 4095 : options.mode );
+        }).then(function(h) {
+            handle = h;
+            if ( existing ) {
+                return handle.chmod( existing.mode & 4095 ).then(function() {
+                    return handle.chown( existing.uid, existing.gid ).catch(function() {});
+                });
+            }
+        }).then(function() {
+            return handle.writeFile( data, typeof data === "string" ? options.encoding || 'utf8' : undefined );
+        }).then(function() {
+            return handle.sync();
+        }).then(function() {
+            var h = handle;
+            handle = null;
+            return h.close();
+        }).then(function() {
+            if ( options.backup )
+                return fsp.copyFile( path, path + '.bak' ).catch(function(e) {
+                    if ( e.code !== 'ENOENT' )
+                        throw e;
+                });
+        }).then(function() {
+            return fsp.rename( tmp, path );
+        }).then(function() {
+            return fsp.open( require('path').dirname( path ), 'r' ).then(function(dir) {
+                return dir.sync().then( function() { return dir.close(); }, function() { return dir.close(); } );
+            }).catch(function() {});
+        }, function(e) {
+            var cleanup = handle ? handle.close().catch(function() {}) : Promise.resolve();
+            return cleanup.then(function() {
+                return fsp.unlink( tmp ).catch(function() {});
+            }).then(function() {
+                throw storage_error( path, e );
+            });
+        });
+    }
+
+    // the async half of saveAsync: serializes now, compresses and writes without blocking
+    function save_async( db, _mode )
+    {
+        try {
+            check_writable( db );
+        } catch(e) {
+            return Promise.reject( e );
+        }
+
+        // journal appends are small; compacting a journaled db isn't done in the background
+        if ( db.journal ) {
+            return new Promise(function(resolve) {
+                resolve( db.save( _mode ) );
+            });
+        }
+
+        var adapter = db.adapter;
+        var options = { mode:_mode, backup:db.backup };
+        var changes = db._changes;      // changes made while writing still need saving
+        var unsaved = db._unsaved.length;
+        var written;
+        return encode_stored_async( db, db_json( db ) ).then(function(data) {
+            written = data;
+            if ( adapter.saveAsync )
+                return adapter.saveAsync( db_key( db ), data, options );
+            return adapter.save( db_key( db ), data, options );
+        }).then(function() {
+            if ( adapter === storage_adapters.fs )
+                db._file_sig = file_signature( db.db_path, written );
+            db._has_snapshot = true;
+            db._unsaved.splice( 0, unsaved );
+            db._saved_changes = changes;
+            after_save( db, false );
+        });
+    }
+
+    // reload(), and sync: loaded is what was read already, if it was
+    function reload_db( root, loaded, merge )
+    {
+        var unsaved = merge ? root._unsaved.map(function(line) { return ejson_parse( line ); }) : [];
+        root.load( undefined, loaded );
+
+        var skipped = [];
+        root._quiet = true;
+        try {
+            unsaved.forEach(function(rec) {
+                delete rec.n;
+                try {
+                    apply_journal_record( root, rec );
+                } catch(e) {
+                    if ( !( e instanceof MongoliteError ) )
+                        throw e;
+                    skipped.push( {record:rec, error:e} );
+                }
+            });
+        } finally {
+            root._quiet = false;
+        }
+        return skipped;
+    }
+
+    //////////////////////////////////////////////////
+    //
+    // journal
+    //
+    //  with {journal:true}, save() appends the changes made since the last save to the db's
+    //  key + ".journal" (db_path + ".journal" with fs), one JSON record per line (each encrypted, with {encryption}),
+    //  instead of rewriting the whole db:
+    //   {"op":"insert","doc":{..},"n":7}   {"op":"update","_id":3,"doc":{..},"n":8}   {"op":"remove","ids":[4,5],"n":9}
+    //  plus createIndex, dropIndex, createCollection, dropCollection and renameCollection records.
+    //  "c" names the collection, when it isn't the default one. open() replays the journal over
+    //  the file; compact() writes the file and empties the journal. the file records the "n" of the
+    //  last record it holds, so a crash between the two never replays a record twice.
+    //  the adapter needs append(), and load(): the journal is replayed synchronously
+    //
+
+    // compact() on save() once the journal would grow past this many bytes
+    var default_compact_at = 16 * 1024 * 1024;
+
+    // bytes in the journal, were it saved now
+    function journal_size( db )
+    {
+        var size = db._journal_size;
+        db._unsaved.forEach(function(line) { size += utf8_length( line ) + 1; });
+        return size;
+    }
+
+    function utf8_length( string )
+    {
+        if ( typeof Buffer !== "undefined" )
+            return Buffer.byteLength( string );
+        return new TextEncoder().encode( string ).length;
+    }
+
+    // appends the records made since the last save, each encrypted on its own line if the db is,
+    //  chained to the line before it, see journal_aad(). throws SaveError
+    function append_journal( db )
+    {
+        if ( db._unsaved.length === 0 )
+            return;
+        var lines = db._unsaved;
+        var tag = db._journal_tag;
+        if ( db.encryption ) {
+            lines = lines.map(function(line) {
+                var text = encrypt_sync( db.encryption, Buffer.from( line, 'utf8' ), { n:JSON.parse( line ).n, prev_tag:tag } );
+                tag = envelope_tag( text );
+                return text;
+            });
+        }
+        var data = lines.join('\n') + '\n';
+        try {
+            db.adapter.append( db.journal_path, data );
+        } catch(e) {
+            throw e instanceof SaveError ? e : storage_error( db.journal_path, e );
+        }
+        db._journal_size += utf8_length( data );
+        db._journal_tag = tag;
+        db._unsaved = [];
+    }
+
+    // after the file has been written with every change in it
+    function clear_journal( db )
+    {
+        db._unsaved = [];
+        db._journal_size = 0;
+        db._journal_tag = '';
+        if ( db.adapter.remove )
+            db.adapter.remove( db.journal_path );
+        else
+            db.adapter.save( db.journal_path, '' );
+    }
+
+    function apply_journal_record( db, rec )
+    {
+        var coll = rec.c ? db.collection( rec.c ) : db;
+        switch ( rec.op ) {
+        case 'insert':
+            coll.insert( rec.doc );
+            break;
+        case 'update':
+            coll.replace_row( rec._id, rec.doc );
+            break;
+        case 'remove':
+            coll.remove( {_id:{$in:rec.ids}} );
+            break;
+        case 'createIndex':
+            coll.createIndex( rec.index.key, rec.index );
+            break;
+        case 'dropIndex':
+            coll.dropIndex( rec.name );
+            break;
+        case 'createCollection':
+            db.collection( rec.name );
+            break;
+        case 'dropCollection':
+            db.dropCollection( rec.name );
+            break;
+        case 'renameCollection':
+            db.renameCollection( rec.from, rec.to );
+            break;
+        default:
+            throw new MongoliteError( 'journal: unknown record "' + rec.op + '"' );
+        }
+    }
+
+    // replays db.journal_path. a last line without its newline is what a crash mid-append
+    //  leaves behind; it is ignored, and cut off so later appends start on a fresh line.
+    //  an encrypted db's journal only takes encrypted lines, in order. throws DecryptionError
+    function replay_journal( db )
+    {
+        var stored = db.adapter.load( db.journal_path );
+        if ( stored === null || stored === undefined )
+            return;
+
+        var text = typeof stored === "string" ? stored : to_buffer( stored ).toString('utf8');
+        var lines = text.split('\n');
+        lines.pop();    // "" after the last newline, or the partial record
+
+        var valid = 0;
+        db._replaying = true;
+        try {
+            lines.forEach(function(line, i) {
+                valid += utf8_length( line ) + 1;
+                var rec, n;
+                if ( is_encrypted( line ) || db.encryption ) {
+                    if ( !is_encrypted( line ) )
+                        throw new DecryptionError( 'journal: line ' + (i+1) + ' of "' + db.journal_path + '" is not encrypted' );
+                    var bytes = decrypt_sync( db.encryption, line, db._journal_tag );
+                    n = JSON.parse( line ).n;
+                    db._journal_tag = envelope_tag( line );
+                    line = bytes.toString('utf8');
+                }
+                try {
+                    rec = ejson_parse( line );
+                } catch(e) {
+                    throw new MongoliteError( 'journal: damaged record on line ' + (i+1) + ' of "' + db.journal_path + '"' );
+                }
+                if ( n !== undefined && rec.n !== n )
+                    throw new DecryptionError( 'journal: line ' + (i+1) + ' of "' + db.journal_path + '" was tampered with' );
+                if ( rec.n > db._journal_seq ) {
+                    apply_journal_record( db, rec );
+                    db._journal_seq = rec.n;
+                }
+            });
+        } finally {
+            db._replaying = false;
+        }
+
+        if ( valid < utf8_length( text ) )
+            db.adapter.save( db.journal_path, lines.map(function(line) { return line + '\n'; }).join('') );
+        db._journal_size = valid;
+    }
+
+    //////////////////////////////////////////////////
+    //
+    // autosave
+    //
+    //  {autosave:true} saves right after the changes made in one go (at the end of the current task),
+    //  {autosave:ms} once no change has been made for ms, {autosave:{ops:n}} after every n changes.
+    //  saves go through saveAsync(); failures go to config.onerror, or are logged.
+    //  unsaved changes are flushed when the process exits (beforeExit, exit, SIGINT, SIGTERM)
+    //  or the page is hidden (pagehide, visibilitychange)
+    //
+
+    // -> null, {} (immediate), {delay:ms} or {ops:n}
+    function autosave_setting( setting )
+    {
+        if ( !setting )
+            return null;
+        if ( setting === true || setting === "immediate" )
+            return {};
+        if ( typeof setting === "number" && setting >= 0 )
+            return { delay:setting };
+        if ( is_plain_object(setting) && typeof setting.delay === "number" && setting.delay >= 0 )
+            return { delay:setting.delay };
+        if ( is_plain_object(setting) && typeof setting.ops === "number" && setting.ops >= 1 )
+            return { ops:Math.floor( setting.ops ) };
+        throw new MongoliteError( 'autosave must be true, a delay in ms, or {ops:n}, not ' + JSON.stringify( setting ) );
+    }
+
+    // errors nobody is waiting for, from autosaves, syncs and event listeners
+    function report_error( db, e )
+    {
+        if ( typeof db.onerror === "function" )
+            db.onerror( e );
+        else
+            console.log( "mongolite: error: \"" + ( db.db_path || db.db_name ) + "\": " + e.message );
+    }
+
+    function autosave_now( db )
+    {
+        if ( db._txn ) {
+            db._txn.autosave = true;
+            return;
+        }
+        db.saveAsync().then( null, function(e) { report_error( db, e ); } );
+    }
+
+    // after each change to a db with autosave
+    function autosave_after_change( db )
+    {
+        var a = db.autosave;
+        if ( a.delay !== undefined ) {
+            if ( db._autosave_timer )
+                clearTimeout( db._autosave_timer );
+            db._autosave_timer = setTimeout(function() {
+                db._autosave_timer = null;
+                autosave_now( db );
+            }, a.delay );
+            // the exit flush covers a pending save, it needn't keep node running
+            if ( db._autosave_timer.unref )
+                db._autosave_timer.unref();
+            return;
+        }
+
+        if ( a.ops && ++db._autosave_count < a.ops )
+            return;
+        db._autosave_count = 0;
+
+        // one save for all the changes made before the current task ends
+        if ( !db._autosave_soon ) {
+            db._autosave_soon = true;
+            Promise.resolve().then(function() {
+                db._autosave_soon = false;
+                autosave_now( db );
+            });
+        }
+    }
+
+    // dbs with autosave on
+    var autosave_dbs = [];
+    var exit_hooks = null;
+
+    // whether db can only be saved with saveAsync(): its adapter has no save(), or it is a
+    //  compressed or encrypted browser db, CompressionStream and WebCrypto having no synchronous form
+    function saves_async( db )
+    {
+        return !db.adapter.save || ( db.platform === "browser" && ( !!db.use_gzip || !!db.encryption ) );
+    }
+
+    // the process or page is going away: save synchronously, while there's still time
+    function flush_all()
+    {
+        autosave_dbs.forEach(function(db) {
+            try {
+                if ( db._txn )
+                    db.rollback();
+                if ( !db.isDirty() )
+                    return;
+                if ( saves_async( db ) )
+                    autosave_now( db );
+                else
+                    db.save();
+            } catch(e) {
+                report_error( db, e );
+            }
+        });
+    }
+
+    function install_exit_hooks( platform )
+    {
+        if ( exit_hooks )
+            return;
+
+        if ( platform === "node_module" ) {
+            var on_signal = function( signal ) {
+                flush_all();
+                // no one else handles it: exit, as node would have without us
+                if ( process.listenerCount( signal ) === 1 )
+                    process.exit( 128 + require('os').constants.signals[signal] );
+            };
+            exit_hooks = { beforeExit:flush_all, exit:flush_all, SIGINT:on_signal, SIGTERM:on_signal };
+            for ( var ev in exit_hooks )
+                process.on( ev, exit_hooks[ev] );
+        } else if ( platform === "browser" ) {
+            exit_hooks = {
+                pagehide: flush_all,
+                visibilitychange: function() {
+                    if ( document.visibilityState === "hidden" )
+                        flush_all();
+                }
+            };
+            window.addEventListener( 'pagehide', exit_hooks.pagehide );
+            document.addEventListener( 'visibilitychange', exit_hooks.visibilitychange );
+        }
+    }
+
+    function remove_exit_hooks()
+    {
+        if ( !exit_hooks )
+            return;
+        if ( exit_hooks.SIGINT ) {
+            for ( var ev in exit_hooks )
+                process.removeListener( ev, exit_hooks[ev] );
+        } else {
+            window.removeEventListener( 'pagehide', exit_hooks.pagehide );
+            document.removeEventListener( 'visibilitychange', exit_hooks.visibilitychange );
+        }
+        exit_hooks = null;
+    }
+
+    function start_autosave( db )
+    {
+        db._autosave_count = 0;
+        db._autosave_timer = null;
+        autosave_dbs.push( db );
+        install_exit_hooks( db.platform );
+    }
+
+    function stop_autosave( db )
+    {
+        if ( db._autosave_timer )
+            clearTimeout( db._autosave_timer );
+        db._autosave_timer = null;
+        db.autosave = null;
+        var i = autosave_dbs.indexOf( db );
+        if ( i !== -1 )
+            autosave_dbs.splice( i, 1 );
+        if ( autosave_dbs.length === 0 )
+            remove_exit_hooks();
+    }
+
+    //////////////////////////////////////////////////
+    //
+    // validation
+    //
+    //  db.setValidator( schema ) checks the rows insert() and update() make against a subset of JSON Schema.
+    //  like JSON Schema, a keyword only applies to values of its kind: minimum to numbers, pattern to strings,
+    //  required to objects, and so on. an _id at the top of a row is allowed by additionalProperties:false
+    //
+
+    var schema_keywords = [ 'type', 'enum', 'required', 'properties', 'additionalProperties', 'items',
+                            'minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems', 'pattern',
+                            'title', 'description' ];
+
+    var schema_types = [ 'string', 'number', 'integer', 'boolean', 'object', 'array', 'null', 'date' ];
+
+    var validation_levels = [ 'strict', 'warn', 'off' ];
+
+    function has_schema_type( v, type )
+    {
+        switch ( type ) {
+        case 'integer':
+            return typeof v === "number" && Math.floor( v ) === v && isFinite( v );
+        case 'object':
+            return is_plain_object( v );
+        case 'null':
+            return v === null;
+        default:
+            return type_of( v ) === type;
+        }
+    }
+
+    function schema_path( path, key )
+    {
+        return path === '' ? String( key ) : path + '.' + key;
+    }
+
+    // schema -> function( value, path, errors ), which pushes {path, message} onto errors for each
+    //  way value fails it. where is the schema's own path, for errors in it. throws MongoliteError
+    function compile_schema( schema, where )
+    {
+        var at = where ? ' at "' + where + '"' : '';
+        if ( !is_plain_object( schema ) )
+            throw new MongoliteError( 'schema' + at + ' must be an object' );
+        Object.keys( schema ).forEach(function(k) {
+            if ( schema_keywords.indexOf( k ) === -1 )
+                throw new MongoliteError( 'unknown schema keyword "' + k + '"' + at );
+        });
+
+        var checks = [];
+        var check = function( applies, test, message ) {
+            checks.push(function(v, path, errors) {
+                if ( applies( v ) && !test( v ) )
+                    errors.push( {path:path, message:message} );
+            });
+        };
+        var any = function() { return true; };
+        var is_number = function(v) { return typeof v === "number"; };
+        var is_string = function(v) { return typeof v === "string"; };
+        var is_array = function(v) { return type_of(v) === "array"; };
+
+        if ( schema.type !== undefined ) {
+            var types = type_of( schema.type ) === "array" ? schema.type : [ schema.type ];
+            types.forEach(function(t) {
+                if ( schema_types.indexOf( t ) === -1 )
+                    throw new MongoliteError( 'unknown schema type ' + JSON.stringify( t ) + at + ', use one of: ' + schema_types.join(', ') );
+            });
+            check( any, function(v) {
+                return types.some(function(t) { return has_schema_type( v, t ); });
+            }, 'must be of type ' + types.join(' or ') );
+        }
+        if ( schema['enum'] !== undefined ) {
+            if ( !is_array( schema['enum'] ) )
+                throw new MongoliteError( 'schema enum' + at + ' must be an array' );
+            check( any, function(v) {
+                return schema['enum'].some(function(e) { return deep_equal( e, v ); });
+            }, 'must be one of ' + ejson_stringify( schema['enum'] ) );
+        }
+
+        [ ['minimum', is_number, function(v, n) { return v >= n; }, function(n) { return 'must be >= ' + n; }],
+          ['maximum', is_number, function(v, n) { return v <= n; }, function(n) { return 'must be <= ' + n; }],
+          ['minLength', is_string, function(v, n) { return v.length >= n; }, function(n) { return 'must be at least ' + n + ' characters long'; }],
+          ['maxLength', is_string, function(v, n) { return v.length <= n; }, function(n) { return 'must be at most ' + n + ' characters long'; }],
+          ['minItems', is_array, function(v, n) { return v.length >= n; }, function(n) { return 'must have at least ' + n + ' items'; }],
+          ['maxItems', is_array, function(v, n) { return v.length <= n; }, function(n) { return 'must have at most ' + n + ' items'; }]
+        ].forEach(function(b) {
+            var n = schema[b[0]];
+            if ( n === undefined )
+                return;
+            if ( typeof n !== "number" )
+                throw new MongoliteError( 'schema ' + b[0] + at + ' must be a number' );
+            check( b[1], function(v) { return b[2]( v, n ); }, b[3]( n ) );
+        });
+
+        if ( schema.pattern !== undefined ) {
+            var re = type_of( schema.pattern ) === "regexp" ? stateless_regex( schema.pattern ) : new RegExp( schema.pattern );
+            check( is_string, function(v) { return re.test( v ); }, 'must match ' + re );
+        }
+
+        if ( schema.required !== undefined ) {
+            if ( !is_array( schema.required ) )
+                throw new MongoliteError( 'schema required' + at + ' must be an array' );
+            checks.push(function(v, path, errors) {
+                if ( !is_plain_object( v ) )
+                    return;
+                schema.required.forEach(function(k) {
+                    if ( v[k] === undefined )
+                        errors.push( {path:schema_path( path, k ), message:'is required'} );
+                });
+            });
+        }
+
+        var properties = {};
+        if ( schema.properties !== undefined ) {
+            if ( !is_plain_object( schema.properties ) )
+                throw new MongoliteError( 'schema properties' + at + ' must be an object' );
+            for ( var k in schema.properties ) {
+                if ( schema.properties.hasOwnProperty(k) )
+                    properties[k] = compile_schema( schema.properties[k], schema_path( where || '', k ) );
+            }
+        }
+        var additional = schema.additionalProperties;
+        if ( additional !== undefined && typeof additional !== "boolean" )
+            additional = compile_schema( additional, schema_path( where || '', '*' ) );
+
+        checks.push(function(v, path, errors) {
+            if ( !is_plain_object( v ) )
+                return;
+            for ( var k in v ) {
+                if ( !v.hasOwnProperty(k) || v[k] === undefined )
+                    continue;
+                if ( properties.hasOwnProperty(k) )
+                    properties[k]( v[k], schema_path( path, k ), errors );
+                else if ( additional === false && !( k === '_id' && path === '' ) )
+                    errors.push( {path:schema_path( path, k ), message:'is not allowed'} );
+                else if ( typeof additional === "function" )
+                    additional( v[k], schema_path( path, k ), errors );
+            }
+        });
+
+        if ( schema.items !== undefined ) {
+            var items = compile_schema( schema.items, schema_path( where || '', '*' ) );
+            checks.push(function(v, path, errors) {
+                if ( is_array( v ) ) {
+                    v.forEach(function(item, i) {
+                        items( item, schema_path( path, i ), errors );
+                    });
+                }
+            });
+        }
+
+        return function( v, path, errors ) {
+            checks.forEach(function(c) {
+                c( v, path, errors );
+            });
+        };
+    }
+
+    // before a row goes in: throws ValidationError if it fails db's validator, or at level "warn", reports it
+    function validate_row( db, row )
+    {
+        var v = db._validator;
+        if ( !v || v.level === 'off' )
+            return;
+        var errors = [];
+        v.check( row, '', errors );
+        if ( errors.length === 0 )
+            return;
+
+        var e = new ValidationError( 'document failed validation: ' + errors.map(function(x) {
+            return ( x.path || 'document' ) + ' ' + x.message;
+        }).join('; '), {errors:errors, _id:row['_id']} );
+        if ( v.level === 'warn' )
+            report_error( db._root || db, e );
+        else
+            throw e;
+    }
+
+    //////////////////////////////////////////////////
+    //
+    // transactions
+    //
+    //  begin() copies every row, and the indexes, of the db and its collections; rollback() puts the
+    //  copies back. while a transaction is open nothing is saved: save() throws, and autosaving, syncing
+    //  and the insert, update and remove events wait for it to end. an open transaction is rolled back
+    //  by close(), and by the flush on exit
+    //
+
+    function take_snapshot( root )
+    {
+        var part = function( c ) {
+            return { handle:c, rows:c.master.map( deep_clone ), indexes:c.getIndexes() };
+        };
+        var snap = {
+            root: part( root ),
+            collections: {},
+            changes: root._changes,
+            unsaved: root._unsaved.length,
+            journal_seq: root._journal_seq,
+            events: [],         // [db, event, info], emitted on commit
+            autosave: false,    // an autosave or a sync came up meanwhile
+            sync: false
+        };
+        for ( var name in root._collections ) {
+            if ( root._collections.hasOwnProperty(name) )
+                snap.collections[name] = part( root._collections[name] );
+        }
+        return snap;
+    }
+
+    function restore_snapshot( root, snap )
+    {
+        var kept = [ root ];
+        root.setup_rows( snap.root.rows, snap.root.indexes );
+
+        var made = root._collections;
+        root._collections = {};
+        for ( var name in snap.collections ) {
+            var p = snap.collections[name];
+            p.handle.collection_name = name;
+            p.handle.setup_rows( p.rows, p.indexes );
+            root._collections[name] = p.handle;
+            kept.push( p.handle );
+        }
+        // collections made in the transaction are gone, see load()
+        for ( var m in made ) {
+            if ( made.hasOwnProperty(m) && kept.indexOf( made[m] ) === -1 ) {
+                root._gone_collections = root._gone_collections || {};
+                root._gone_collections[m] = made[m];
+            }
+        }
+
+        root._changes = snap.changes;
+        root._unsaved.length = snap.unsaved;
+        root._journal_seq = snap.journal_seq;
+    }
+
+    // after commit() or rollback(): what waited for the transaction
+    function end_transaction( root, snap, committed )
+    {
+        if ( committed ) {
+            snap.events.forEach(function(e) {
+                emit( e[0], e[1], e[2] );
+            });
+        }
+        if ( snap.autosave && root.autosave && root.isDirty() )
+            autosave_now( root );
+        if ( snap.sync )
+            sync_now( root );
+    }
+
+    //////////////////////////////////////////////////
+    //
+    // events
+    //
+    //  db.on( event, fn ) calls fn( info ) when event happens to that db or collection:
+    //   "insert" - a row was inserted. info: {op:"insert", _id, doc}
+    //   "update" - a row was updated. info: {op:"update", _id, before, after}
+    //   "remove" - a row was removed. info: {op:"remove", _id, doc}
+    //   "save"   - the db was saved. info: {journal}, true if the changes were appended to the journal
+    //   "change" - the db was read again, with changes another tab or process saved. info: {skipped}, see reload()
+    //  rows in info are copies. replaying the journal, and reload(), emit no insert, update or remove
+    //
+
+    var db_events = [ "insert", "update", "remove", "save", "change" ];
+
+    function check_event( event )
+    {
+        if ( db_events.indexOf( event ) === -1 )
+            throw new MongoliteError( 'unknown event ' + JSON.stringify( event ) + ', use one of: ' + db_events.join(', ') );
+    }
+
+    // a listener throwing doesn't stop the others, or the change; its error goes to onerror.
+    //  row events in a transaction wait for its commit
+    function emit( db, event, info )
+    {
+        var root = db._root || db;
+        if ( root._txn && ( event === "insert" || event === "update" || event === "remove" ) ) {
+            root._txn.events.push( [db, event, info] );
+            return;
+        }
+        var listeners = db._listeners && db._listeners[event];
+        if ( !listeners )
+            return;
+        listeners.slice().forEach(function(fn) {
+            try {
+                fn.call( db, info );
+            } catch(e) {
+                report_error( db._root || db, e );
+            }
+        });
+    }
+
+    // whether a row change on db has anyone to tell: rows are only copied for listeners
+    function listening( db, event )
+    {
+        var root = db._root || db;
+        if ( root._replaying || root._quiet )
+            return false;
+        return !!( db._listeners && db._listeners[event] && db._listeners[event].length );
+    }
+
+    // to the db and every collection in it
+    function emit_all( root, event, info )
+    {
+        emit( root, event, info );
+        for ( var name in root._collections ) {
+            if ( root._collections.hasOwnProperty(name) )
+                emit( root._collections[name], event, info );
+        }
+    }
+
+    //////////////////////////////////////////////////
+    //
+    // sync
+    //
+    //  tabs (or workers) with the same db open each have their own copy of its rows. with {sync:true},
+    //  the default in the browser, a db tells the others each time it has saved, over a BroadcastChannel
+    //  named "mongolite:" + its key, or where there is none, through the storage event of localStorage.
+    //  the others read the db again, make their own unsaved changes again on top, see reload(), and emit "change"
+    //
+
+    // whether other tabs' saves can be heard: through a BroadcastChannel, or the localStorage adapter's storage event
+    function sync_available( db )
+    {
+        return typeof BroadcastChannel !== "undefined" ||
+               ( db.adapter === storage_adapters.localStorage && typeof window !== "undefined" );
+    }
+
+    function start_sync( db )
+    {
+        var key = db_key( db );
+        if ( typeof BroadcastChannel !== "undefined" ) {
+            db._channel = new BroadcastChannel( 'mongolite:' + key );
+            db._channel.onmessage = function() {
+                sync_now( db );
+            };
+            // node: listening needn't keep the process running
+            if ( db._channel.unref )
+                db._channel.unref();
+        } else if ( db.adapter === storage_adapters.localStorage && typeof window !== "undefined" ) {
+            db._on_storage = function(e) {
+                if ( e.key === key || e.key === db.journal_path )
+                    sync_now( db );
+            };
+            window.addEventListener( 'storage', db._on_storage );
+        }
+    }
+
+    function stop_sync( db )
+    {
+        if ( db._channel ) {
+            db._channel.close();
+            db._channel = null;
+        }
+        if ( db._on_storage ) {
+            window.removeEventListener( 'storage', db._on_storage );
+            db._on_storage = null;
+        }
+    }
+
+    // after each save: emit "save", and tell the other tabs. the storage event needs no telling
+    function after_save( db, journal )
+    {
+        if ( db._channel )
+            db._channel.postMessage( { saved:db_key( db ) } );
+        emit_all( db, "save", { journal:journal } );
+    }
+
+    // another tab saved: read the db again, once any save of this one is done. saves told of
+    //  while reading are read with one more go
+    function sync_now( db )
+    {
+        if ( db._syncing ) {
+            db._sync_again = true;
+            return;
+        }
+        db._syncing = true;
+
+        var read = function() {
+            if ( db._txn ) {
+                db._txn.sync = true;
+                db._syncing = false;
+                return;
+            }
+            var adapter = db.adapter;
+            var key = db_key( db );
+            return Promise.resolve( adapter.loadAsync ? adapter.loadAsync( key ) : adapter.load( key ) ).then(function(stored) {
+                return decode_stored_async( stored, db.platform, db.encryption );
+            }).then(function(loaded) {
+                var skipped = reload_db( db, loaded, true );
+                emit_all( db, "change", { skipped:skipped } );
+            }).catch(function(e) {
+                report_error( db, e );
+            }).then(function() {
+                db._syncing = false;
+                if ( db._sync_again ) {
+                    db._sync_again = false;
+                    sync_now( db );
+                }
+            });
+        };
+        db._save_queue = ( db._save_queue || Promise.resolve() ).then( read, read );
+    }
+
+    //////////////////////////////////////////////////
+    //
+    // locking & conflicts
+    //
+    //  {lock:true} holds the db's lock, through its adapter, while the db is open. with fs that is
+    //  db_path + ".lock", so another process opening it gets a LockError. the lockfile says who holds it;
+    //  a lock left by a process no longer running on this host, or older than lock_stale ms, is stale
+    //  and taken over. close(), or the process exiting, releases it. the lock is advisory: only dbs
+    //  opened with {lock:true} respect it.
+    //
+    //  without locks, saving to fs still checks that db_path hasn't changed since this db read or wrote it,
+    //  and throws ConflictError if it has; reload() picks up the other process's version
+    //
+
+    var locked_dbs = [];
+
+    // unsaved autosave changes are written before the locks go
+    function release_locks_on_exit()
+    {
+        flush_all();
+        locked_dbs.slice().forEach( release_lock );
+    }
+
+    // the lockfile -> {text, mtime}, or null if there is none
+    function read_lock( path )
+    {
+        var fs = require('fs');
+        try {
+            return { text:fs.readFileSync( path, 'utf8' ), mtime:fs.statSync( path ).mtimeMs };
+        } catch(e) {
+            if ( e.code === 'ENOENT' )
+                return null;
+            throw new LockError( 'could not read "' + path + '": ' + e.message, {path:path, cause:e} );
+        }
+    }
+
+    // seen is what read_lock() read
+    function lock_is_stale( seen, stale_ms )
+    {
+        var holder;
+        try {
+            holder = JSON.parse( seen.text );
+        } catch(e) {
+            // being written by a process taking it right now, or left by a crash while writing it
+            return Date.now() - seen.mtime > 5000;
+        }
+        if ( stale_ms && Date.now() - holder.time > stale_ms )
+            return true;
+        if ( holder.host === require('os').hostname() ) {
+            try {
+                process.kill( holder.pid, 0 );
+            } catch(e) {
+                return e.code === 'ESRCH';
+            }
+        }
+        return false;
+    }
+
+    // removes the stale lockfile seen. it is moved aside first, which only one process can do, and put
+    //  back if it isn't what was seen: another process found it stale too, and has taken it over already
+    function remove_stale_lock( lock_path, seen, token )
+    {
+        var fs = require('fs');
+        var aside = lock_path + '.' + token + '.stale';
+        try {
+            fs.renameSync( lock_path, aside );
+        } catch(e) {
+            return;     // gone already
+        }
+        try {
+            if ( fs.readFileSync( aside, 'utf8' ) !== seen.text )
+                fs.linkSync( aside, lock_path );
+        } catch(e) {
+        }
+        try {
+            fs.unlinkSync( aside );
+        } catch(e) {
+        }
+    }
+
+    // creates path + ".lock" -> the function that removes it. throws LockError
+    function acquire_lock( path, stale_ms )
+    {
+        var fs = require('fs');
+        var lock_path = path + '.lock';
+        var lock = { pid:process.pid, host:require('os').hostname(), time:Date.now(), token:to_hex( random_bytes(8) ) };
+
+        for ( var attempt = 0; attempt < 2; attempt++ ) {
+            try {
+                var fd = fs.openSync( lock_path, 'wx', 438 );
+                fs.writeSync( fd, JSON.stringify( lock ) );
+                fs.closeSync( fd );
+
+                return function() {
+                    try {
+                        // only our own: it may have been taken over as stale
+                        if ( JSON.parse( fs.readFileSync( lock_path, 'utf8' ) ).token === lock.token )
+                            fs.unlinkSync( lock_path );
+                    } catch(e) {
+                    }
+                };
+            } catch(e) {
+                if ( e.code !== 'EEXIST' )
+                    throw new LockError( 'could not create "' + lock_path + '": ' + e.message, {path:lock_path, cause:e} );
+            }
+            if ( attempt > 0 )
+                break;
+            var seen = read_lock( lock_path );
+            if ( seen && !lock_is_stale( seen, stale_ms ) )
+                break;
+            if ( seen )
+                remove_stale_lock( lock_path, seen, lock.token );
+        }
+
+        var holder = null;
+        try {
+            holder = JSON.parse( fs.readFileSync( lock_path, 'utf8' ) );
+        } catch(e) {
+        }
+        throw new LockError( '"' + path + '" is locked' + ( holder ? ' by process ' + holder.pid + ' on ' + holder.host : '' ),
+            {path:lock_path, holder:holder} );
+    }
+
+    // takes the db's lock through its adapter. throws LockError
+    function lock_db( db, stale_ms )
+    {
+        if ( !db.adapter.lock )
+            throw new MongoliteError( 'the "' + db.adapter.name + '" adapter can\'t lock' );
+        db._unlock = db.adapter.lock( db_key( db ), {stale:stale_ms} );
+
+        if ( locked_dbs.length === 0 && db.platform === "node_module" )
+            process.on( 'exit', release_locks_on_exit );
+        locked_dbs.push( db );
+    }
+
+    function release_lock( db )
+    {
+        if ( !db._unlock )
+            return;
+        var unlock = db._unlock;
+        db._unlock = null;
+
+        locked_dbs.splice( locked_dbs.indexOf( db ), 1 );
+        if ( locked_dbs.length === 0 && db.platform === "node_module" )
+            process.removeListener( 'exit', release_locks_on_exit );
+        unlock();
+    }
+
+    function hash_of( data )
+    {
+        return require('crypto').createHash('sha1').update( data ).digest('hex');
+    }
+
+    // what db_path looked like when this db read or wrote it: data is what was read or written.
+    //  without data the file is hashed only if its size or mtime changed
+    function file_signature( path, data, old )
+    {
+        var stat;
+        try {
+            stat = require('fs').statSync( path );
+        } catch(e) {
+            if ( e.code === 'ENOENT' )
+                return { path:path, missing:true };
+            throw e;
+        }
+        var sig = { path:path, mtime:stat.mtimeMs, size:stat.size };
+        if ( data !== undefined )
+            sig.hash = hash_of( data );
+        else if ( old && !old.missing && old.mtime === sig.mtime && old.size === sig.size )
+            sig.hash = old.hash;
+        else
+            sig.hash = hash_of( require('fs').readFileSync( path ) );
+        return sig;
+    }
+
+    // before a save: throws if the db can't be written, or if another process changed db_path or
+    //  the journal since this db read or wrote them. only fs is checked, and not dbs started from config.data
+    function check_writable( db )
+    {
+        if ( db._txn )
+            throw new MongoliteError( 'a transaction is open, commit() or roll it back before saving' );
+        if ( db.readonly )
+            throw new MongoliteError( '"' + ( db.db_path || db.db_name ) + '" was opened read-only' );
+
+        var sig = db._file_sig;
+        if ( !sig || db.adapter !== storage_adapters.fs || sig.path !== db.db_path )
+            return;
+
+        var now = file_signature( db.db_path, undefined, sig );
+        var changed = now.missing !== sig.missing || now.hash !== sig.hash;
+        if ( !changed && db.journal ) {
+            var size = 0;
+            try {
+                size = require('fs').statSync( db.journal_path ).size;
+            } catch(e) {
+            }
+            changed = size !== db._journal_size;
+        }
+        if ( changed )
+            throw new ConflictError( '"' + db.db_path + '" was changed by another process since it was loaded; reload() it',
+                {path:db.db_path} );
+    }
+
+    //////////////////////////////////////////////////
+    //
+    // compression
+    //
+    //  node compresses with the built-in zlib, gzip or brotli. the browser uses CompressionStream
+    //  (gzip only, at its own level) and stores the bytes as base64.
+    //  a file's format is told from its first bytes, so a db opens with whatever it was saved with
+    //
+
+    // bias heavily towards speed since compressing makes saves I/O bound. gzip 1-9, brotli 0-11
+    var default_levels = { gzip:1, brotli:4 };
+
+    // set by mongolite.useGzip(), used by open() when config doesn't say
+    var default_compression = { use_gzip:false, level:undefined };
+
+    // a use_gzip setting -> false, "gzip" or "brotli"
+    function compression_format( setting )
+    {
+        if ( !setting )
+            return false;
+        if ( setting === true || setting === "gzip" )
+            return "gzip";
+        if ( setting === "brotli" )
+            return "brotli";
+        throw new MongoliteError( 'unknown compression ' + JSON.stringify( setting ) + ', use "gzip" or "brotli"' );
+    }
+
+    // presence of a .gz or .br extension sets use_gzip
+    function extension_compression( path )
+    {
+        if ( /\.gz$/.test( path ) )
+            return "gzip";
+        if ( /\.br$/.test( path ) )
+            return "brotli";
+        return false;
+    }
+
+    // gzip starts with 1f 8b. brotli has no magic number, so whatever isn't gzip or JSON is taken to be brotli
+    function detect_compression( bytes )
+    {
+        if ( bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b )
+            return "gzip";
+        for ( var i = 0; i < bytes.length; i++ ) {
+            var c = bytes[i];
+            if ( c === 0x20 || c === 0x09 || c === 0x0a || c === 0x0d )
+                continue;
+            return ( c === 0x5b || c === 0x7b ) ? false : "brotli";     // [ or {
+        }
+        return false;
+    }
+
+    function zlib_options( format, level )
+    {
+        if ( level === undefined || level === null )
+            level = default_levels[format];
+        if ( format === "gzip" )
+            return { level:level };
+        var params = {};
+        params[ require('zlib').constants.BROTLI_PARAM_QUALITY ] = level;
+        return { params:params };
+    }
+
+    // -> Buffer
+    function compress_sync( string, format, level )
+    {
+        var zlib = require('zlib');
+        if ( format === "gzip" )
+            return zlib.gzipSync( string, zlib_options( format, level ) );
+        return zlib.brotliCompressSync( string, zlib_options( format, level ) );
+    }
+
+    // -> Promise of a Buffer, compressed on zlib's thread pool
+    function compress_async( string, format, level )
+    {
+        var zlib = require('zlib');
+        var compress = format === "gzip" ? zlib.gzip : zlib.brotliCompress;
+        return new Promise(function(resolve, reject) {
+            compress( string, zlib_options( format, level ), function(err, buffer) {
+                if ( err )
+                    reject( err );
+                else
+                    resolve( buffer );
+            });
+        });
+    }
+
+    // file contents -> {text, format}
+    function decompress_sync( buffer )
+    {
+        var zlib = require('zlib');
+        var format = detect_compression( buffer );
+        try {
+            if ( format === "gzip" )
+                buffer = zlib.gunzipSync( buffer );
+            else if ( format === "brotli" )
+                buffer = zlib.brotliDecompressSync( buffer );
+        } catch(e) {
+            throw new MongoliteError( 'not a mongolite database, or damaged: ' + e.message );
+        }
+        return { text:buffer.toString('utf8'), format:format };
+    }
+
+    // -> Promise of {text, format}
+    function decompress_async( buffer )
+    {
+        var zlib = require('zlib');
+        var format = detect_compression( buffer );
+        if ( !format )
+            return Promise.resolve( { text:buffer.toString('utf8'), format:false } );
+
+        var decompress = format === "gzip" ? zlib.gunzip : zlib.brotliDecompress;
+        return new Promise(function(resolve, reject) {
+            decompress( buffer, function(err, inflated) {
+                if ( err )
+                    reject( new MongoliteError( 'not a mongolite database, or damaged: ' + err.message ) );
+                else
+                    resolve( { text:inflated.toString('utf8'), format:format } );
+            });
+        });
+    }
+
+    function bytes_to_base64( bytes )
+    {
+        var s = '';
+        for ( var i = 0; i < bytes.length; i += 0x8000 )
+            s += String.fromCharCode.apply( null, bytes.subarray( i, i + 0x8000 ) );
+        return btoa( s );
+    }
+
+    function base64_to_bytes( string )
+    {
+        var s = atob( string );
+        var bytes = new Uint8Array( s.length );
+        for ( var i = 0; i < s.length; i++ )
+            bytes[i] = s.charCodeAt(i);
+        return bytes;
+    }
+
+    // bytes -> base64, with Buffer where there is one
+    function to_base64( bytes )
+    {
+        if ( typeof Buffer !== "undefined" )
+            return Buffer.from( bytes.buffer, bytes.byteOffset, bytes.length ).toString('base64');
+        return bytes_to_base64( bytes );
+    }
+
+    // base64 -> a Buffer, or a Uint8Array where there is no Buffer
+    function from_base64( string )
+    {
+        return typeof Buffer !== "undefined" ? Buffer.from( string, 'base64' ) : base64_to_bytes( string );
+    }
+
+    // "H4sI" is gzip's magic number in base64
+    function browser_compressed( string )
+    {
+        return string.slice( 0, 4 ) === "H4sI";
+    }
+
+    // -> Promise of the gzipped string, in base64
+    function browser_compress( string )
+    {
+        if ( typeof CompressionStream === "undefined" )
+            return Promise.reject( new MongoliteError( 'this browser has no CompressionStream' ) );
+        var stream = new Blob( [string] ).stream().pipeThrough( new CompressionStream('gzip') );
+        return new Response( stream ).arrayBuffer().then(function(buffer) {
+            return bytes_to_base64( new Uint8Array( buffer ) );
+        });
+    }
+
+    // -> Promise of the string browser_compress() was given
+    function browser_decompress( string )
+    {
+        if ( typeof DecompressionStream === "undefined" )
+            return Promise.reject( new MongoliteError( 'this browser has no DecompressionStream' ) );
+        var stream = new Blob( [base64_to_bytes( string )] ).stream().pipeThrough( new DecompressionStream('gzip') );
+        return new Response( stream ).text();
+    }
+
+    // empty names, and node's default, are stored under "mongolite"
+    function browser_db_name( name )
+    {
+        name = ( name || '' ).trim();
+        return ( !name || name.length===0 || name === "test.db" ) ? 'mongolite' : name;
+    }
+
+
+    //////////////////////////////////////////////////
+    //
+    // encryption
+    //
+    //  with {encryption:{passphrase}} or {encryption:{key}} what the adapter stores, and each journal line,
+    //  is encrypted with AES-256-GCM, after compressing. a passphrase is stretched into the key with
+    //  PBKDF2-SHA256 and a random salt; a key is 32 bytes, used as is. it is stored as one line of JSON:
+    //   {"mongolite_encrypted":1,"cipher":"aes-256-gcm","kdf":{"name":"pbkdf2","hash":"sha256","iterations":n,"salt":".."},
+    //    "iv":"..","data":".."}
+    //  data being the ciphertext and its 16 byte tag, in base64. kdf is null for a key. node encrypts with its
+    //  crypto module; the browser with WebCrypto, which only works asynchronously, so encrypted browser dbs
+    //  are opened with openAsync() and saved with saveAsync()
+    //
+
+    // OWASP's recommendation for PBKDF2-SHA256
+    var default_iterations = 600000;
+
+    // an {encryption} setting -> null or {key, passphrase, iterations, salt, keys}. salt is the one saves
+    //  use: what was read, else a new one. keys caches the key derived for each salt. throws MongoliteError
+    function encryption_setting( setting )
+    {
+        if ( !setting )
+            return null;
+        if ( setting.keys )
+            return setting;     // already worked out, by openAsync()
+        if ( !is_plain_object(setting) || ( setting.key === undefined ) === ( setting.passphrase === undefined ) )
+            throw new MongoliteError( 'encryption needs either {key} or {passphrase}' );
+        if ( setting.key !== undefined && !( is_binary(setting.key) && setting.key.length === 32 ) )
+            throw new MongoliteError( 'an encryption key is 32 bytes, a Buffer or Uint8Array' );
+        if ( setting.passphrase !== undefined && ( typeof setting.passphrase !== "string" || !setting.passphrase ) )
+            throw new MongoliteError( 'an encryption passphrase is a non-empty string' );
+        var iterations = setting.iterations === undefined ? default_iterations : setting.iterations;
+        if ( typeof iterations !== "number" || iterations < 1 || iterations % 1 !== 0 )
+            throw new MongoliteError( 'encryption iterations must be a whole number above 0' );
+        return { key:setting.key, passphrase:setting.passphrase, iterations:iterations, salt:null, keys:{} };
+    }
+
+    // is text what encrypt_sync() or encrypt_async() made
+    function is_encrypted( text )
+    {
+        return typeof text === "string" && text.slice( 0, 22 ) === '{"mongolite_encrypted"';
+    }
+
+    // a new envelope for enc, without its data: a fresh iv, and the kdf, if any
+    function new_envelope( enc )
+    {
+        var kdf = null;
+        if ( enc.passphrase !== undefined ) {
+            if ( !enc.salt )
+                enc.salt = to_base64( random_bytes( 16 ) );
+            kdf = { name:"pbkdf2", hash:"sha256", iterations:enc.iterations, salt:enc.salt };
+        }
+        return { mongolite_encrypted:1, cipher:"aes-256-gcm", kdf:kdf, iv:to_base64( random_bytes( 12 ) ), data:null };
+    }
+
+    // text -> the envelope, checked against enc. throws DecryptionError
+    function open_envelope( enc, text )
+    {
+        if ( !enc )
+            throw new DecryptionError( 'the db is encrypted, open it with {encryption}' );
+        var envelope;
+        try {
+            envelope = JSON.parse( text );
+        } catch(e) {
+            throw new DecryptionError( 'the encrypted data is damaged' );
+        }
+        if ( envelope.mongolite_encrypted !== 1 || envelope.cipher !== "aes-256-gcm" || typeof envelope.iv !== "string" ||
+             typeof envelope.data !== "string" )
+            throw new DecryptionError( 'unknown encryption, or damaged' );
+        var kdf = envelope.kdf;
+        if ( kdf && ( kdf.name !== "pbkdf2" || kdf.hash !== "sha256" || typeof kdf.salt !== "string" || !( kdf.iterations >= 1 ) ) )
+            throw new DecryptionError( 'unknown key derivation, or damaged' );
+        if ( !kdf !== ( enc.passphrase === undefined ) )
+            throw new DecryptionError( 'the db was encrypted with a ' + ( kdf ? 'passphrase' : 'key' ) + ', not a ' + ( kdf ? 'key' : 'passphrase' ) );
+        // saves keep the salt that was read, so its key is only derived once
+        if ( kdf && !enc.salt )
+            enc.salt = kdf.salt;
+        return envelope;
+    }
+
+    // the AES key for kdf (null for enc.key) -> a Buffer, derived once per salt
+    function node_key( enc, kdf )
+    {
+        if ( !kdf )
+            return Buffer.from( enc.key );
+        var cache = 'node:' + kdf.iterations + ':' + kdf.salt;
+        if ( !enc.keys[cache] )
+            enc.keys[cache] = require('crypto').pbkdf2Sync( enc.passphrase, from_base64( kdf.salt ), kdf.iterations, 32, 'sha256' );
+        return enc.keys[cache];
+    }
+
+    // -> Promise of the WebCrypto AES-GCM key for kdf, derived once per salt
+    function web_key( enc, kdf )
+    {
+        var subtle = crypto.subtle;
+        if ( !kdf )
+            return subtle.importKey( 'raw', enc.key, 'AES-GCM', false, ['encrypt', 'decrypt'] );
+        var cache = 'web:' + kdf.iterations + ':' + kdf.salt;
+        if ( !enc.keys[cache] ) {
+            enc.keys[cache] = subtle.importKey( 'raw', new TextEncoder().encode( enc.passphrase ), 'PBKDF2', false, ['deriveKey'] ).then(function(base) {
+                return subtle.deriveKey( { name:'PBKDF2', hash:'SHA-256', salt:from_base64( kdf.salt ), iterations:kdf.iterations },
+                                         base, { name:'AES-GCM', length:256 }, false, ['encrypt', 'decrypt'] );
+            });
+        }
+        return enc.keys[cache];
+    }
+
+    // the authenticated data of journal line n: its number and the tag of the line before it ("" for
+    //  the first), so lines that are dropped, reordered or moved from another journal don't decrypt
+    function journal_aad( n, prev_tag )
+    {
+        return Buffer.from( 'mongolite journal ' + n + ' ' + prev_tag, 'utf8' );
+    }
+
+    // the envelope -> its GCM tag, in base64, see journal_aad()
+    function envelope_tag( text )
+    {
+        var data = from_base64( JSON.parse( text ).data );
+        return to_base64( data.subarray( data.length - 16 ) );
+    }
+
+    // bytes (a Buffer) -> the envelope, a string. node only. line is {n, prev_tag} for a journal line,
+    //  whose envelope keeps its n
+    function encrypt_sync( enc, bytes, line )
+    {
+        var envelope = new_envelope( enc );
+        var cipher = require('crypto').createCipheriv( 'aes-256-gcm', node_key( enc, envelope.kdf ), from_base64( envelope.iv ) );
+        if ( line ) {
+            envelope.n = line.n;
+            cipher.setAAD( journal_aad( line.n, line.prev_tag ) );
+        }
+        envelope.data = to_base64( Buffer.concat( [cipher.update( bytes ), cipher.final(), cipher.getAuthTag()] ) );
+        return JSON.stringify( envelope );
+    }
+
+    // the envelope -> the Buffer encrypt_sync() was given. node only. prev_tag is given for a journal
+    //  line, see journal_aad(). throws DecryptionError
+    function decrypt_sync( enc, text, prev_tag )
+    {
+        var envelope = open_envelope( enc, text );
+        var data = from_base64( envelope.data );
+        if ( data.length < 16 || ( prev_tag !== undefined && typeof envelope.n !== "number" ) )
+            throw new DecryptionError( 'the encrypted data is damaged' );
+        try {
+            var decipher = require('crypto').createDecipheriv( 'aes-256-gcm', node_key( enc, envelope.kdf ), from_base64( envelope.iv ) );
+            if ( prev_tag !== undefined )
+                decipher.setAAD( journal_aad( envelope.n, prev_tag ) );
+            decipher.setAuthTag( data.subarray( data.length - 16 ) );
+            return Buffer.concat( [decipher.update( data.subarray( 0, data.length - 16 ) ), decipher.final()] );
+        } catch(e) {
+            throw new DecryptionError( 'wrong key or passphrase, or the data was tampered with' );
+        }
+    }
+
+    // encrypt_sync(), returning a Promise. the browser encrypts with WebCrypto; bytes is a Uint8Array there
+    function encrypt_async( enc, bytes, platform )
+    {
+        if ( platform !== "browser" ) {
+            return new Promise(function(resolve) {
+                resolve( encrypt_sync( enc, bytes ) );
+            });
+        }
+        var envelope = new_envelope( enc );
+        return web_key( enc, envelope.kdf ).then(function(key) {
+            return crypto.subtle.encrypt( { name:'AES-GCM', iv:from_base64( envelope.iv ) }, key, bytes );
+        }).then(function(buffer) {
+            envelope.data = to_base64( new Uint8Array( buffer ) );
+            return JSON.stringify( envelope );
+        });
+    }
+
+    // decrypt_sync(), returning a Promise. in the browser, of a Uint8Array
+    function decrypt_async( enc, text, platform )
+    {
+        if ( platform !== "browser" ) {
+            return new Promise(function(resolve) {
+                resolve( decrypt_sync( enc, text ) );
+            });
+        }
+        var envelope;
+        try {
+            envelope = open_envelope( enc, text );
+        } catch(e) {
+            return Promise.reject( e );
+        }
+        return web_key( enc, envelope.kdf ).then(function(key) {
+            return crypto.subtle.decrypt( { name:'AES-GCM', iv:from_base64( envelope.iv ) }, key, from_base64( envelope.data ) ).catch(function() {
+                throw new DecryptionError( 'wrong key or passphrase, or the data was tampered with' );
+            });
+        }).then(function(buffer) {
+            return new Uint8Array( buffer );
+        });
+    }
+
+
+    //////////////////////////////////////////////////
+    //
+    // storage adapters
+    //
+    //  where a db is kept. open() uses "fs" on node and "localStorage" in the browser; {adapter} picks
+    //  another built-in by name ("memory", "indexedDB") or is an adapter object of your own. every
+    //  method is given the db's key, its db_path on node and its name in the browser:
+    //
+    //   load( key )                 -> what save() stored, a string or bytes; null if nothing is stored yet
+    //   save( key, data, options )  stores data, replacing what was there. data is the db's JSON or, compressed,
+    //                               a Buffer on node and base64 in the browser. options: {mode, backup}
+    //   append( key, text )         optional: adds text to what is stored. needed for {journal:true}
+    //   remove( key )               optional: deletes what is stored
+    //   lock( key, {stale} )        optional: returns a function that unlocks, throws LockError. needed for {lock:true}
+    //
+    //  an adapter that only works asynchronously has loadAsync() and saveAsync(), returning Promises,
+    //  in place of load() and save(); its dbs are opened with openAsync() and saved with saveAsync().
+    //  failed writes throw SaveError, and running out of room a QuotaError, see storage_error()
+    //
+
+    var storage_adapters = {
+
+        // kept in this process only, under each db's key. locks are for this process too
+        memory: (function() {
+            var store = {};
+            var locks = {};
+            return {
+                name: "memory",
+                load: function( key )
+                {
+                    return store.hasOwnProperty( key ) ? store[key] : null;
+                },
+                save: function( key, data )
+                {
+                    store[key] = data;
+                },
+                append: function( key, text )
+                {
+                    store[key] = ( store.hasOwnProperty( key ) ? store[key] : '' ) + text;
+                },
+                remove: function( key )
+                {
+                    delete store[key];
+                },
+                lock: function( key )
+                {
+                    if ( locks[key] )
+                        throw new LockError( '"' + key + '" is locked', {path:key, holder:null} );
+                    locks[key] = true;
+                    return function() {
+                        delete locks[key];
+                    };
+                }
+            };
+        })(),
+
+        // files (node). saves go through write_file_atomic, so a crash mid-save leaves the previous file intact
+        fs: {
+            name: "fs",
+            load: function( path )
+            {
+                try {
+                    return require('fs').readFileSync( path );
+                } catch(e) {
+                    if ( e.code === 'ENOENT' )
+                        return null;
+                    throw e;
+                }
+            },
+            loadAsync: function( path )
+            {
+                return require('fs').promises.readFile( path ).catch(function(e) {
+                    if ( e.code === 'ENOENT' )
+                        return null;
+                    throw e;
+                });
+            },
+            save: function( path, data, options )
+            {
+                options = options || {};
+                write_file_atomic( path, data, {encoding:"utf8", mode:options.mode || 438, backup:options.backup} );     // 0666
+            },
+            saveAsync: function( path, data, options )
+            {
+                options = options || {};
+                return write_file_atomic_async( path, data, {encoding:"utf8", mode:options.mode || 438, backup:options.backup} );
+            },
+            // fsyncs, so what was appended is on disk when it returns
+            append: function( path, text )
+            {
+                var fs = require('fs');
+                var fd = null;
+                try {
+                    fd = fs.openSync( path, 'a', 438 );
+                    fs.writeSync( fd, text, null, 'utf8' );
+                    fs.fsyncSync( fd );
+                    fs.closeSync( fd );
+                } catch(e) {
+                    try {
+                        if ( fd !== null )
+                            fs.closeSync( fd );
+                    } catch(e2) {
+                    }
+                    throw storage_error( path, e );
+                }
+            },
+            remove: function( path )
+            {
+                try {
+                    require('fs').unlinkSync( path );
+                } catch(e) {
+                    if ( e.code !== 'ENOENT' )
+                        throw new SaveError( 'failed removing "' + path + '": ' + e.message, {path:path, cause:e} );
+                }
+            },
+            // path + ".lock", see acquire_lock()
+            lock: function( path, options )
+            {
+                return acquire_lock( path, options && options.stale );
+            }
+        },
+
+        // the browser's localStorage: strings only, and a few MB per site
+        localStorage: {
+            name: "localStorage",
+            load: function( key )
+            {
+                return typeof localStorage === "undefined" ? null : localStorage.getItem( key );
+            },
+            save: function( key, data )
+            {
+                try {
+                    localStorage.setItem( key, data );
+                } catch(e) {
+                    throw storage_error( key, e );
+                }
+            },
+            append: function( key, text )
+            {
+                storage_adapters.localStorage.save( key, ( localStorage.getItem( key ) || '' ) + text );
+            },
+            remove: function( key )
+            {
+                localStorage.removeItem( key );
+            }
+        },
+
+        // the browser's IndexedDB, which has room for far bigger dbs than localStorage. asynchronous only
+        indexedDB: {
+            name: "indexedDB",
+            loadAsync: function( key )
+            {
+                return indexeddb_request( 'readonly', function(store) {
+                    return store.get( key );
+                }).then(function(data) {
+                    return data === undefined ? null : data;
+                });
+            },
+            saveAsync: function( key, data )
+            {
+                return indexeddb_request( 'readwrite', function(store) {
+                    return store.put( data, key );
+                }).catch(function(e) {
+                    throw storage_error( key, e );
+                });
+            }
+        }
+    };
+
+    // the IndexedDB database "mongolite", opened on first use. dbs are kept in its object store "dbs"
+    var indexeddb_open = null;
+
+    // runs action( store ) in a transaction -> Promise of the result of the request it returns,
+    //  once the transaction is complete
+    function indexeddb_request( mode, action )
+    {
+        if ( !indexeddb_open ) {
+            indexeddb_open = new Promise(function(resolve, reject) {
+                if ( typeof indexedDB === "undefined" )
+                    throw new MongoliteError( 'this browser has no IndexedDB' );
+                var req = indexedDB.open( 'mongolite', 1 );
+                req.onupgradeneeded = function() {
+                    req.result.createObjectStore( 'dbs' );
+                };
+                req.onsuccess = function() {
+                    resolve( req.result );
+                };
+                req.onerror = function() {
+                    reject( req.error );
+                };
+            });
+            indexeddb_open.catch(function() {
+                indexeddb_open = null;
+            });
+        }
+        return indexeddb_open.then(function(idb) {
+            return new Promise(function(resolve, reject) {
+                var tx = idb.transaction( 'dbs', mode );
+                var req = action( tx.objectStore( 'dbs' ) );
+                tx.oncomplete = function() {
+                    resolve( req.result );
+                };
+                tx.onerror = tx.onabort = function() {
+                    reject( tx.error || req.error );
+                };
+            });
+        });
+    }
+
+    // an {adapter} setting -> the adapter. throws MongoliteError
+    function storage_adapter( setting, platform )
+    {
+        if ( !setting )
+            setting = platform === "browser" ? "localStorage" : "fs";
+        if ( typeof setting === "string" && !storage_adapters.hasOwnProperty( setting ) )
+            throw new MongoliteError( 'unknown adapter ' + JSON.stringify( setting ) + ', use one of: ' + Object.keys( storage_adapters ).join(', ') );
+        var adapter = typeof setting === "string" ? storage_adapters[setting] : setting;
+        if ( !adapter || typeof adapter !== "object" || !( adapter.load || adapter.loadAsync ) || !( adapter.save || adapter.saveAsync ) )
+            throw new MongoliteError( 'an adapter needs load() or loadAsync(), and save() or saveAsync()' );
+        return adapter;
+    }
+
+    // where the adapter keeps a db: its db_path on node, its name in the browser
+    function db_key( config )
+    {
+        return config.platform === "browser" ? browser_db_name( config.db_name ) : config.db_path;
+    }
+
+    function to_buffer( bytes )
+    {
+        return Buffer.isBuffer( bytes ) ? bytes : Buffer.from( bytes );
+    }
+
+    // an unencrypted db opened with {encryption}: it was never encrypted, or was swapped for one that
+    //  wasn't. rekey() is how a db gets encrypted
+    function not_encrypted()
+    {
+        return new DecryptionError( 'the db is not encrypted; open it without {encryption}, then rekey() it' );
+    }
+
+    // what an adapter loaded -> {stored, text, format}, text being the db's JSON, or null if nothing
+    //  is stored yet. encryption is the db's, see encryption_setting(). compressed or encrypted
+    //  browser data can only be read by openAsync(). throws DecryptionError
+    function decode_stored( stored, platform, encryption )
+    {
+        if ( stored === null || stored === undefined )
+            return { stored:null, text:null, format:false };
+        var file;
+        if ( typeof stored === "string" ) {
+            if ( platform === "browser" && browser_compressed( stored ) )
+                throw new MongoliteError( 'the db is compressed, open it with openAsync()' );
+            file = { text:stored, format:false };
+        } else {
+            file = decompress_sync( to_buffer( stored ) );
+        }
+        if ( encryption && !is_encrypted( file.text ) )
+            throw not_encrypted();
+        if ( is_encrypted( file.text ) ) {
+            if ( platform === "browser" ) {
+                open_envelope( encryption, file.text );
+                throw new MongoliteError( 'the db is encrypted, open it with openAsync()' );
+            }
+            file = decompress_sync( decrypt_sync( encryption, file.text ) );
+        }
+        return { stored:stored, text:file.text, format:file.format };
+    }
+
+    // decode_stored(), returning a Promise
+    function decode_stored_async( stored, platform, encryption )
+    {
+        var decode = function( data ) {
+            if ( typeof data === "string" && platform === "browser" && browser_compressed( data ) ) {
+                return browser_decompress( data ).then(function(text) {
+                    return { text:text, format:"gzip" };
+                });
+            }
+            if ( typeof data === "string" )
+                return Promise.resolve( { text:data, format:false } );
+            return decompress_async( to_buffer( data ) );
+        };
+
+        if ( stored === null || stored === undefined )
+            return Promise.resolve( decode_stored( stored, platform, encryption ) );
+        return decode( stored ).then(function(file) {
+            if ( encryption && !is_encrypted( file.text ) )
+                throw not_encrypted();
+            if ( !is_encrypted( file.text ) )
+                return file;
+            // the browser encrypted the string it would have stored, the node the bytes
+            return decrypt_async( encryption, file.text, platform ).then(function(bytes) {
+                return decode( platform === "browser" ? new TextDecoder().decode( bytes ) : bytes );
+            });
+        }).then(function(file) {
+            return { stored:stored, text:file.text, format:file.format };
+        });
+    }
+
+    // the db's JSON -> what its adapter saves: the JSON, or compressed, then encrypted. throws SaveError
+    function encode_stored( db, json )
+    {
+        // CompressionStream and WebCrypto only work asynchronously
+        if ( db.platform === "browser" && db.use_gzip )
+            throw new MongoliteError( 'compressed browser databases are saved with saveAsync()' );
+        if ( db.platform === "browser" && db.encryption )
+            throw new MongoliteError( 'encrypted browser databases are saved with saveAsync()' );
+
+        var data = json;
+        if ( db.use_gzip ) {
+            try {
+                data = compress_sync( json, db.use_gzip, db.compression_level );
+            } catch(e) {
+                throw new SaveError( 'failed compressing "' + db_key( db ) + '": ' + e.message, {path:db_key( db ), cause:e} );
+            }
+        }
+        if ( db.encryption )
+            data = encrypt_sync( db.encryption, to_buffer( data ) );
+        return data;
+    }
+
+    // encode_stored(), returning a Promise. node compresses on zlib's thread pool
+    function encode_stored_async( db, json )
+    {
+        var data;
+        if ( !db.use_gzip ) {
+            data = Promise.resolve( json );
+        } else if ( db.platform === "browser" ) {
+            if ( db.use_gzip !== "gzip" )
+                return Promise.reject( new MongoliteError( 'only gzip compression is available in the browser' ) );
+            data = browser_compress( json );
+        } else {
+            data = compress_async( json, db.use_gzip, db.compression_level ).catch(function(e) {
+                throw new SaveError( 'failed compressing "' + db_key( db ) + '": ' + e.message, {path:db_key( db ), cause:e} );
+            });
+        }
+        if ( !db.encryption )
+            return data;
+        return data.then(function(d) {
+            var bytes = db.platform === "browser" ? new TextEncoder().encode( d ) : to_buffer( d );
+            return encrypt_async( db.encryption, bytes, db.platform );
+        });
+    }
+
+    //////////////////////////////////////////////////
+    //
+    // collections
+    //
+    //  a db file holds a default collection, which is the db_object returned by open(), and
+    //  any number of named ones. a named collection is a db_object too, sharing the
+    //  file of the db it belongs to (its _root)
+    //
+
+    var default_collection = "default";
+
+    function check_collection_name( name )
+    {
+        if ( typeof name !== "string" || name.length === 0 || name.indexOf('$') !== -1 || name.indexOf('\0') !== -1 )
+            throw new MongoliteError( 'invalid collection name: ' + JSON.stringify( name ) );
+    }
+
+    function open_collection( root, name, rows, index_defs )
+    {
+        var c = Object.create( db_object.prototype );
+        c._root = root;
+        c.collection_name = name;
+        c.platform = root.platform;
+        c.id_strategy = root.id_strategy;
+        c.setup_rows( rows || [], index_defs );
+        return c;
+    }
+
+
+    //////////////////////////////////////////////////
+    //
+    // _id strategies
+    //
+    //  how insert() makes an _id for a row that doesn't have one. chosen with
+    //   mongolite.open( {id_strategy:"objectid"} ), or a function( db ) returning a new id
+    //
+
+    function has_id( row )
+    {
+        return row['_id'] !== undefined && row['_id'] !== null;
+    }
+
+    // n cryptographically random bytes: WebCrypto's, else node's crypto module's.
+    //  throws MongoliteError where there is neither
+    function random_bytes( n )
+    {
+        if ( typeof crypto !== "undefined" && crypto.getRandomValues )
+            return crypto.getRandomValues( new Uint8Array( n ) );
+        var node_crypto = null;
+        try {
+            node_crypto = require('crypto');
+        } catch(e) {
+        }
+        if ( !node_crypto || !node_crypto.randomBytes )
+            throw new MongoliteError( 'no secure random number generator: there is neither WebCrypto nor node\'s crypto module' );
+        return new Uint8Array( node_crypto.randomBytes( n ) );
+    }
+
+    function to_hex( bytes )
+    {
+        var s = '';
+        for ( var i = 0; i < bytes.length; i++ )
+            s += ( bytes[i] < 16 ? '0' : '' ) + bytes[i].toString(16);
+        return s;
+    }
+
+    // ObjectId layout: 4 byte timestamp, 5 random bytes per process, 3 byte counter.
+    //  made on first use, so loading mongolite doesn't need random bytes
+    var objectid_process = null;
+    var objectid_counter = 0;
+
+    var id_strategies = {
+        // 1 greater than the highest numeric _id
+        increment: function( db ) {
+            return ++db._id;
+        },
+
+        // 24 hex characters, sorts roughly by creation time
+        objectid: function() {
+            if ( objectid_process === null ) {
+                objectid_process = to_hex( random_bytes(5) );
+                objectid_counter = random_bytes(3).reduce(function(n, b) { return n * 256 + b; }, 0);
+            }
+            objectid_counter = ( objectid_counter + 1 ) % 0x1000000;
+            var time = Math.floor( Date.now() / 1000 ).toString(16);
+            var count = objectid_counter.toString(16);
+            return ( '00000000' + time ).slice(-8) + objectid_process + ( '000000' + count ).slice(-6);
+        },
+
+        uuid: function() {
+            if ( typeof crypto !== "undefined" && crypto.randomUUID )
+                return crypto.randomUUID();
+            var b = random_bytes(16);
+            b[6] = ( b[6] & 0x0f ) | 0x40;  // version 4
+            b[8] = ( b[8] & 0x3f ) | 0x80;  // variant 10
+            var h = to_hex( b );
+            return h.slice(0,8) + '-' + h.slice(8,12) + '-' + h.slice(12,16) + '-' + h.slice(16,20) + '-' + h.slice(20);
+        }
+    };
+
+    function id_strategy( strategy )
+    {
+        if ( strategy === undefined || strategy === null )
+            return id_strategies.increment;
+        if ( typeof strategy === "function" )
+            return strategy;
+        if ( id_strategies.hasOwnProperty( strategy ) )
+            return id_strategies[strategy];
+        throw new MongoliteError( 'unknown id_strategy: ' + JSON.stringify( strategy ) );
+    }
+
+    //////////////////////////////////////////////////
+    // 
+    // Classes
+    // 
+
+    /**
+     *
+     * Class: db_result
+     *
+     */
+    function db_result( arg ) 
+    {
+        this.length = 0;
+        this._data = [];            
+
+        // sort of a copy-constructor. If Array of Obj is passed in,
+        //  we clone it into _data 
+        if ( arguments.length === 1 && type_of(arg) === "array" ) 
+        {
+            for ( var i = 0, l = arg.length; i < l; i++ ) {
+                this.push( arg[i] );
+            }
+        }
+    }
+
+    db_result.prototype = {
+        push: function( O ) {
+            if ( type_of(O) === "object" )
+                this._data.push(deep_clone(O));
+            this.length = this._data.length;
+            return this;
+        },
+
+        /* 
+         SELECT * FROM users WHERE status = "A" ORDER BY user_id ASC
+           db.users.find( { status: "A" } ).sort( { user_id: 1 } )
+         SELECT * FROM users WHERE status = "A" ORDER BY user_id DESC
+           db.users.find( { status: "A" } ).sort( { user_id: -1 } ) 
+        */
+        sort: function( O, collation ) {
+            // several keys sort in order: {lastName:1, age:-1}. Keys may be dotted paths.
+            //  mixed types sort in MongoDB order, equal rows keep their order.
+            //  collation is optional, eg. {locale:"en", strength:2, numericOrdering:true}, see make_collator
+            this._data = sort_rows( this._data, O, collation );
+            return this;
+        },
+
+        limit: function( _l ) {
+            var lim = Number(_l);
+            if ( type_of(lim) !== "number" )
+                return this;
+            this._data.splice( lim, this._data.length - lim );
+            this.length = this._data.length;
+            return this;
+        },
+
+        skip: function( s ) {
+            var skp = Number(s);
+            if ( type_of(skp) !== "number" )
+                return this;
+            this._data.splice( 0, skp );
+            this.length = this._data.length;
+            return this;
+        },
+
+        // unique values of field (may be a dotted path) among rows matching the optional query.
+        //  array fields contribute each element. returns an array of values
+        distinct: function( field, query ) {
+            var rows = query ? this._data.filter( compile_query( query ) ) : this._data;
+            return distinct_values( rows, field );
+        },
+
+        // counts & sums per key:
+        //  res.group( "status", {n:{$sum:1}, total:{$sum:"$amount"}, avg:{$avg:"$amount"}} )
+        //      -> [{_id:"A",n:3,total:60,avg:20}, {_id:"B",n:1,total:5,avg:5}]
+        //  key may be a field path or an object of them, {status:"status",year:"date.year"}
+        //  accumulators: $sum, $avg, $min, $max, $push, $first, $last, taking expressions
+        //  like db.aggregate(): "$field" reads a field, {$multiply:["$qty","$price"]} computes
+        group: function( key, accumulators ) {
+            return group_rows( this._data, field_key( key ), accumulators || {} );
+        },
+
+        // number of rows per value of field: [{_id:"A",count:3}, {_id:"B",count:1}]
+        countBy: function( field ) {
+            return group_rows( this._data, field_key( field ), {count:{$sum:1}} );
+        },
+
+        // narrows the result to rows matching query (or a compiled query)
+        filter: function( query ) {
+            var test = compile_query( query );
+            this._data = this._data.filter( test );
+            this.length = this._data.length;
+            return this;
+        },
+
+        count: function() {
+            return this._data.length;
+        },
+
+        getArray: function() {
+            return this._data;
+        },
+        // as Extended JSON, see storage format. fmt indents, as JSON.stringify's third argument
+        get_json: function(fmt) {
+            return ejson_stringify( this._data, fmt );
+        }
+    }; // db_result
+
+
+    /**
+     *
+     * Class: db_index
+     *  - a secondary index on one field of a db_object, made by createIndex()
+     *  - maps each value of the field (and each element, for arrays) to the rows having it
+     *
+     */
+    function db_index( key, options )
+    {
+        var field = _firstKey(key);
+        if ( field === null || Object.keys(key).length !== 1 )
+            throw new MongoliteError( 'createIndex: only single-field indexes are supported' );
+        if ( key[field] !== 1 && key[field] !== -1 )
+            throw new MongoliteError( 'createIndex: direction for "' + field + '" must be 1 or -1' );
+
+        options = options || {};
+        this.key = {};
+        this.key[field] = key[field];
+        this.field = field;
+        this.name = options.name || field + '_' + key[field];
+        this.unique = !!options.unique;
+        this.sparse = !!options.sparse;
+
+        this.entries = {};      // value_key -> {value:..., rows:Set}
+        this.sorted = null;     // entries in value order, for range scans. Built when needed
+    }
+
+    // strings in an index order by code point, like the $lt/$gt they serve
+    var index_collator = make_collator( {locale:'simple'} );
+
+    db_index.prototype = {
+        // the distinct index keys of a row: {k:value_key, value:value}
+        keys_of: function( row ) {
+            var values = get_path_values( row, this.field );
+            if ( values.length === 0 )
+                return this.sparse ? [] : [ {k:value_key(null), value:null} ];
+            var seen = {};
+            var keys = [];
+            expand_arrays( values ).forEach(function(v) {
+                var k = value_key( v );
+                if ( !seen.hasOwnProperty(k) ) {
+                    seen[k] = true;
+                    keys.push( {k:k, value:v} );
+                }
+            });
+            return keys;
+        },
+
+        add: function( row ) {
+            var that = this;
+            this.keys_of( row ).forEach(function(key) {
+                var entry = that.entries[key.k];
+                if ( !entry ) {
+                    entry = that.entries[key.k] = {value:deep_clone(key.value), rows:new Set()};
+                    that.sorted = null;
+                }
+                entry.rows.add( row );
+            });
+        },
+
+        remove: function( row ) {
+            var that = this;
+            this.keys_of( row ).forEach(function(key) {
+                var entry = that.entries[key.k];
+                if ( !entry )
+                    return;
+                entry.rows['delete']( row );
+                if ( entry.rows.size === 0 ) {
+                    delete that.entries[key.k];
+                    that.sorted = null;
+                }
+            });
+        },
+
+        // for unique indexes: the first value of row already held by a row other than except, or undefined
+        conflict: function( row, except ) {
+            if ( !this.unique )
+                return undefined;
+            var keys = this.keys_of( row );
+            for ( var i = 0; i < keys.length; i++ ) {
+                var entry = this.entries[keys[i].k];
+                if ( !entry )
+                    continue;
+                var others = false;
+                entry.rows.forEach(function(r) { if ( r !== except ) others = true; });
+                if ( others )
+                    return keys[i].value;
+            }
+            return undefined;
+        },
+
+        // rows having value
+        find_equal: function( value ) {
+            var entry = this.entries[value_key(value)];
+            return entry ? [ entry.rows ] : [];
+        },
+
+        // rows having a value within bounds {$gt:..,$gte:..,$lt:..,$lte:..}, of the bounds' type
+        find_range: function( bounds ) {
+            if ( !this.sorted ) {
+                var entries = this.entries;
+                this.sorted = Object.keys( entries ).map(function(k) { return entries[k]; });
+                this.sorted.sort(function(a,b) { return compare_values( a.value, b.value, index_collator ); });
+            }
+            var sorted = this.sorted;
+            var low = bounds.hasOwnProperty('$gt') ? bounds['$gt'] : bounds['$gte'];
+            var high = bounds.hasOwnProperty('$lt') ? bounds['$lt'] : bounds['$lte'];
+            var rank = bson_rank( low !== undefined ? low : high );
+            var cmp = function( v, bound ) { return compare_values( v, bound, index_collator ); };
+
+            // binary search for the first entry at or past the low bound
+            var lo = 0, hi = sorted.length;
+            while ( lo < hi ) {
+                var mid = (lo + hi) >> 1;
+                var v = sorted[mid].value;
+                var r = bson_rank( v );
+                var before = r < rank || ( r === rank && low !== undefined &&
+                    ( bounds.hasOwnProperty('$gt') ? cmp( v, low ) <= 0 : cmp( v, low ) < 0 ) );
+                if ( before )
+                    lo = mid + 1;
+                else
+                    hi = mid;
+            }
+
+            var lists = [];
+            for ( var i = lo; i < sorted.length; i++ ) {
+                var value = sorted[i].value;
+                if ( bson_rank( value ) !== rank )
+                    break;
+                if ( high !== undefined && ( bounds.hasOwnProperty('$lt') ? cmp( value, high ) >= 0 : cmp( value, high ) > 0 ) )
+                    break;
+                lists.push( sorted[i].rows );
+            }
+            return lists;
+        },
+
+        // candidate rows for one query clause {field:value}, as a list of Sets,
+        //  or null if this index can't narrow the clause down
+        candidates: function( value ) {
+            var that = this;
+            var usable = function( v ) {
+                return type_of(v) !== "regexp" && !( v === null && that.sparse );
+            };
+
+            switch ( clause_type( this.field, value ) ) {
+            case "CLAUSE_NORMAL":
+            case "CLAUSE_SUBDOCUMENT_MATCH":
+            case "CLAUSE_SUBDOCUMENT":
+            case "CLAUSE_ARRAY":
+                return usable( value ) ? this.find_equal( value ) : null;
+            case "CLAUSE_CONDITIONAL":
+                if ( value.hasOwnProperty('$eq') )
+                    return usable( value['$eq'] ) ? this.find_equal( value['$eq'] ) : null;
+                if ( type_of(value['$in']) === "array" ) {
+                    if ( !value['$in'].every( usable ) )
+                        return null;
+                    var lists = [];
+                    value['$in'].forEach(function(v) {
+                        Array.prototype.push.apply( lists, that.find_equal( v ) );
+                    });
+                    return lists;
+                }
+                var bounds = {}, type = null, any = false;
+                var ok = ['$gt','$gte','$lt','$lte'].every(function(op) {
+                    if ( !value.hasOwnProperty(op) )
+                        return true;
+                    var v = value[op];
+                    if ( v === null || type_of(v) === "array" || ( type !== null && range_type(v) !== type ) )
+                        return false;
+                    type = range_type(v);
+                    bounds[op] = v;
+                    any = true;
+                    return true;
+                });
+                if ( !ok || !any || ( bounds.hasOwnProperty('$gt') && bounds.hasOwnProperty('$gte') ) ||
+                     ( bounds.hasOwnProperty('$lt') && bounds.hasOwnProperty('$lte') ) )
+                    return null;
+                return this.find_range( bounds );
+            default:
+                return null;
+            }
+        },
+
+        rebuild: function( rows ) {
+            this.entries = {};
+            this.sorted = null;
+            for ( var i = 0, l = rows.length; i < l; i++ )
+                this.add( rows[i] );
+        },
+
+        // as returned by getIndexes()
+        info: function() {
+            var o = { key:deep_clone(this.key), name:this.name };
+            if ( this.unique )
+                o.unique = true;
+            if ( this.sparse )
+                o.sparse = true;
+            return o;
+        }
+    }; // db_index
+
+
+    /**
+     *
+     * Class: db_object
+     *  - returned by open()
+     *  - contains entire database w/ accessor methods
+     *
+     */
+    function db_object( config ) 
+    {
+        this.platform = config.platform;
+        this.db_path = config.db_path;
+        this.db_dir = config.db_dir;
+        this.db_name = config.db_name;
+        this.use_gzip = compression_format( config.use_gzip );      // false, "gzip" or "brotli"
+        this.compression_level = config.compression_level;
+        this.backup = config.backup || false;     // keep the previous file as .bak on save
+        this.id_strategy = id_strategy( config.id_strategy );
+        this.encryption = encryption_setting( config.encryption );     // null, or see encryption
+
+        // STORAGE
+        this.adapter = storage_adapter( config.adapter, this.platform );
+        if ( this.platform === "browser" )
+            this.db_name = browser_db_name( this.db_name );
+
+        this.collection_name = default_collection;
+        this._collections = {};         // name -> db_object handle, see collection()
+
+        // JOURNAL
+        this.journal = !!config.journal;
+        if ( this.journal ) {
+            if ( !this.adapter.load || !this.adapter.append )
+                throw new MongoliteError( 'a journal needs an adapter with load() and append()' );
+            this.journal_path = db_key( this ) + '.journal';
+            this.compact_at = config.compact_at || default_compact_at;
+        }
+
+        this.onerror = config.onerror;
+        this.autosave = autosave_setting( config.autosave );
+
+        // SYNC with the other tabs: by default in the browser, where it can be done
+        this.sync = config.sync === undefined ? this.platform === "browser" && sync_available( this ) : !!config.sync;
+        if ( this.sync && !sync_available( this ) )
+            throw new MongoliteError( 'sync needs BroadcastChannel, or the localStorage adapter in a browser' );
+
+        // LOCKING. read-only dbs don't lock, and can't be saved
+        this.readonly = !!config.readonly;
+        if ( config.lock && !this.readonly )
+            lock_db( this, config.lock_stale );
+
+        try {
+            this.load( config.data, config.loaded );
+        } catch(e) {
+            release_lock( this );
+            throw e;
+        }
+
+        // AUTOSAVE
+        if ( this.autosave )
+            start_autosave( this );
+
+        if ( this.sync )
+            start_sync( this );
+    }
+
+    db_object.prototype = {
+
+        //////////////////////////////////////////////////
+        //
+        // public methods
+        //
+
+        /**
+         *
+         * reload
+         *
+            reads the db again from where its adapter keeps it, dropping the rows in memory.
+            with {merge:true} the changes not saved yet are made again on top of what was read;
+            the ones that no longer apply (a duplicate key, a row another process removed) are skipped.
+            returns the skipped changes: [{record:{op:"update",_id:3,doc:{..}}, error:DuplicateKeyError}, ...]
+         */
+        reload: function( options )
+        {
+            return reload_db( this._root || this, null, options && options.merge );
+        }, // this.reload
+
+        // writes the whole db file, or with a journal, appends the changes since the last save.
+        //  throws SaveError if it can't, leaving the file as it was
+        save: function(_mode) 
+        {
+            // a named collection saves the whole db it belongs to
+            if ( this._root )
+                return this._root.save( _mode );
+
+            if ( this.journal && this._has_snapshot && journal_size( this ) <= this.compact_at ) {
+                check_writable( this );
+                append_journal( this );
+                this._saved_changes = this._changes;
+                after_save( this, true );
+                return;
+            }
+            this.compact( _mode );
+        }, // this.save
+
+        // writes the whole db and, with a journal, empties it. throws SaveError
+        compact: function(_mode)
+        {
+            if ( this._root )
+                return this._root.compact( _mode );
+
+            check_writable( this );
+            if ( !this.adapter.save )
+                throw new MongoliteError( '"' + db_key( this ) + '" is stored asynchronously, save it with saveAsync()' );
+
+            var data = encode_stored( this, db_json(this) );
+            this.adapter.save( db_key( this ), data, {mode:_mode, backup:this.backup} );
+            this._has_snapshot = true;
+            if ( this.adapter === storage_adapters.fs )
+                this._file_sig = file_signature( this.db_path, data );
+
+            if ( this.journal )
+                clear_journal( this );
+            this._unsaved = [];
+            this._saved_changes = this._changes;
+            after_save( this, false );
+        }, // this.compact
+
+        /**
+         *
+         * rekey
+         *
+            encrypts the db with a new key or passphrase, and writes it whole: encryption is an {encryption}
+            setting as for open(), or null to store it unencrypted. a backup made by the write (see backup)
+            is still encrypted with the old key. if the write fails the db keeps the old key
+              db.rekey( {passphrase:"correct horse battery staple"} );
+         */
+        rekey: function( encryption )
+        {
+            var root = this._root || this;
+            var old = root.encryption;
+            root.encryption = encryption_setting( encryption );
+            try {
+                root.compact();
+            } catch(e) {
+                root.encryption = old;
+                throw e;
+            }
+        }, // this.rekey
+
+        /**
+         *
+         * rekeyAsync
+         *
+            like rekey(), but returns a Promise and writes the db with saveAsync(). needed in the browser,
+            where encrypting is asynchronous
+         */
+        rekeyAsync: function( encryption )
+        {
+            var root = this._root || this;
+            var old = root.encryption;
+            var enc;
+            try {
+                enc = encryption_setting( encryption );
+                check_writable( root );
+            } catch(e) {
+                return Promise.reject( e );
+            }
+            // a journaled db is compacted, which isn't done in the background
+            if ( root.journal ) {
+                return new Promise(function(resolve) {
+                    resolve( root.rekey( encryption ) );
+                });
+            }
+            root.encryption = enc;
+            return root.saveAsync().catch(function(e) {
+                if ( root.encryption === enc )
+                    root.encryption = old;
+                throw e;
+            });
+        }, // this.rekeyAsync
+
+        // true if there are changes save() hasn't written yet
+        isDirty: function()
+        {
+            var root = this._root || this;
+            return root._changes !== root._saved_changes;
+        }, // this.isDirty
+
+        // stops autosaving and syncing, rolls back an open transaction, saves any unsaved changes
+        //  (unless read-only), and releases the lock. returns nothing, save() throwing SaveError if
+        //  it fails; except for a db that is only saved with saveAsync() (an adapter without save(),
+        //  or a compressed or encrypted browser db): for that, close() always returns a Promise, of
+        //  the save if there is one, and the lock is released once it is done.
+        //  the db can still be used, and saved by hand
+        close: function()
+        {
+            var root = this._root || this;
+            if ( root.autosave )
+                stop_autosave( root );
+            stop_sync( root );
+            if ( root._txn )
+                root.rollback();
+            if ( saves_async( root ) ) {
+                var saving = root.isDirty() && !root.readonly ? root.saveAsync() : Promise.resolve();
+                return saving.then(function() {
+                    release_lock( root );
+                }, function(e) {
+                    release_lock( root );
+                    throw e;
+                });
+            }
+            try {
+                if ( root.isDirty() && !root.readonly )
+                    root.save();
+            } finally {
+                release_lock( root );
+            }
+        }, // this.close
+
+        /**
+         *
+         * on
+         *
+            calls fn( info ) each time event happens, see events. returns fn
+              db.on( "change", function(info) { render( db.find() ); } );
+         */
+        on: function( event, fn )
+        {
+            check_event( event );
+            if ( typeof fn !== "function" )
+                throw new MongoliteError( 'on(): the listener must be a function' );
+            if ( !this._listeners )
+                this._listeners = {};
+            ( this._listeners[event] = this._listeners[event] || [] ).push( fn );
+            return fn;
+        }, // this.on
+
+        // stops calling fn on event. returns true if it was listening
+        off: function( event, fn )
+        {
+            check_event( event );
+            var listeners = this._listeners && this._listeners[event];
+            var i = listeners ? listeners.indexOf( fn ) : -1;
+            if ( i === -1 )
+                return false;
+            listeners.splice( i, 1 );
+            return true;
+        }, // this.off
 
-        function finish_db_setup() 
+        /**
+         *
+         * setValidator
+         *
+            checks each row insert() adds, and each row update() changes, against schema, a subset of JSON Schema:
+              type - "string", "number", "integer", "boolean", "object", "array", "null", "date", or a list of them
+              enum, required, properties, additionalProperties (false, or a schema), items,
+              minimum, maximum, minLength, maxLength, minItems, maxItems, pattern
+            options.level:
+              "strict" - a row that fails is rejected with ValidationError, listing every failure. the default
+              "warn" - the row goes in, and the ValidationError goes to onerror, or is logged
+              "off" - no checking
+            setValidator( null ) removes it. rows already in the db aren't checked, and the validator isn't
+            saved with the db. throws MongoliteError if schema isn't valid
+              db.setValidator( {required:["name"], properties:{name:{type:"string"}, age:{type:"integer", minimum:0}}} );
+         */
+        setValidator: function( schema, options )
         {
-            if ( this.master.length > 0 ) 
-            {
-                // next _id is 1 greater than highest _id
-                var highest = 0;
-                var any_missing = false;
-                this.master.forEach(function(row) {
-                    if ( ! row['_id'] )
-                        any_missing = true;
-                    else if ( row['_id'] > highest ) {
-                        highest = row['_id'];
-                    }
-                });
+            if ( schema === null || schema === undefined ) {
+                this._validator = null;
+                return;
+            }
+            var level = options && options.level !== undefined ? options.level : 'strict';
+            if ( validation_levels.indexOf( level ) === -1 )
+                throw new MongoliteError( 'unknown validation level ' + JSON.stringify( level ) + ', use one of: ' + validation_levels.join(', ') );
+            this._validator = { schema:schema, level:level, check:compile_schema( schema, '' ) };
+        }, // this.setValidator
 
-                // rows w/o _id need to have one added 
-                if ( any_missing ) {
-                    /*
-                    this.master.forEach(function(r) {
-                        if ( !r['_id'] ) {
-                            r['_id'] = ++highest;
-                        }
-                    }); */
+        /**
+         *
+         * watch
+         *
+            calls fn( change ) for each insert, update and remove of a row matching query, in this
+            db or collection. an update is seen if the row matched before it, or matches after it.
+              change: {op:"insert", _id, doc}, {op:"update", _id, before, after} or {op:"remove", _id, doc}
+            returns a watcher; watcher.close() stops it
+              var w = db.watch( {status:"open"}, function(change) { render( db.find( {status:"open"} ) ); } );
+         */
+        watch: function( query, fn )
+        {
+            var match = typeof query === "function" ? query : compile_query( query || {} );
+            if ( typeof fn !== "function" )
+                throw new MongoliteError( 'watch(): the callback must be a function' );
 
-                    for ( var i = 0, l = this.master.length; i < l; i++ ) {
-                        if ( ! this.master[i]['_id'] ) {
-                            this.master[i] = addToFront( this.master[i], '_id', ++highest );
-                        }
-                    }
+            var that = this;
+            var listeners = {
+                insert: function(change) {
+                    if ( match( change.doc ) )
+                        fn.call( that, change );
+                },
+                update: function(change) {
+                    if ( match( change.before ) || match( change.after ) )
+                        fn.call( that, change );
+                },
+                remove: function(change) {
+                    if ( match( change.doc ) )
+                        fn.call( that, change );
                 }
-            
-                this._id = highest;
-                
-                // sort in place ?
-                // - sort each object
-                // - sort array by leading keys
-            }
+            };
+            for ( var event in listeners )
+                this.on( event, listeners[event] );
 
-            /* 
             return {
-                db_name: this.db_name,
-                db_dir: this.db_dir,
-                db_path: this.db_path,
-
-                save: this.save,
-                insert: this.insert,
-                update: this.update,
-                find: this.find,
-                remove: this.remove,
-                get_json: this.get_json,
-                now: this.now,
-                count: this.count
-            }; */
-        } // finish_db_setup
-    }
-
-    db_object.prototype = {
+                close: function() {
+                    for ( var event in listeners )
+                        that.off( event, listeners[event] );
+                }
+            };
+        }, // this.watch
 
-        //////////////////////////////////////////////////
-        //
-        // public methods
-        //
-        save: function(_mode) 
+        /**
+         *
+         * begin
+         *
+            starts a transaction on the db and all its collections. the inserts, updates and removes made
+            until commit() all stay; rollback() undoes all of them. finds in between see them.
+            nothing is saved while it is open. throws MongoliteError if one is open already
+              db.begin();
+              try { db.update( {_id:from}, {$inc:{balance:-10}} ); db.update( {_id:to}, {$inc:{balance:10}} ); db.commit(); }
+              catch(e) { db.rollback(); throw e; }
+         */
+        begin: function()
         {
-            if ( this.platform === "node_module" ) 
-            {
-                var mode = _mode || 438; // 0666;
-                var fs = require('fs');
+            var root = this._root || this;
+            if ( root._txn )
+                throw new MongoliteError( 'a transaction is open already' );
+            root._txn = take_snapshot( root );
+        }, // this.begin
+
+        // keeps the changes made since begin()
+        commit: function()
+        {
+            var root = this._root || this;
+            var snap = root._txn;
+            if ( !snap )
+                throw new MongoliteError( 'commit(): no transaction is open' );
+            root._txn = null;
+            end_transaction( root, snap, true );
+        }, // this.commit
+
+        // undoes the changes made since begin()
+        rollback: function()
+        {
+            var root = this._root || this;
+            var snap = root._txn;
+            if ( !snap )
+                throw new MongoliteError( 'rollback(): no transaction is open' );
+            root._txn = null;
+            restore_snapshot( root, snap );
+            end_transaction( root, snap, false );
+        }, // this.rollback
 
-                // if parent application quits suddenly, write may be voided. 
-                // writes must be ensured. perhaps a better way to do this?  Best possible case: 
-                //  have both async writes and ensured writes, even on sudden process.exit() 
-                var use_async = false;
-                var gzip_lvl = 1; // 5 is middle. bias heavily towards speed since using gzip makes this I/O bound 
-
-                if ( this.use_gzip ) {
-                    if ( use_async ) {
-                        var ostream = fs.createWriteStream( this.db_path );                    
-                        var zlib = require('zlib');
-                        var Stream = require('stream');
-                        var in_stream = new Stream();
-                        in_stream.pipe(zlib.createGzip()).pipe(ostream);
-                        in_stream.emit('data', JSON.stringify(this.master) );
-                        in_stream.emit('end');
-                    } else {
-                        var gzbz = require('gzbz');
-                        var gzip = new gzbz.Gzip();
-                        gzip.init( {encoding:"binary", level: gzip_lvl /* 1<=level<=9 */} );
-                        var gz1 = gzip.deflate( JSON.stringify(this.master) );
-                        var gz2 = gzip.end(); // important to capture end!
-                        var gzdata = gz1 + gz2;
-                        fs.writeFileSync( this.db_path, gzdata, {encoding:"binary",mode:mode,flag:'w'} );
-                    }
-                } else {
-                    try {
-                        fs.writeFileSync( this.db_path, JSON.stringify(this.master), {encoding:"utf8",mode:mode,flag:'w'} );
-                    } catch(e) {
-                        console.log( "mongolite: error: failed writing: \""+this.db_path+'"' );
-                    }
-                }
-            } else if ( this.platform === "browser" ) {
-                localStorage[this.db_name] = JSON.stringify(this.master);
+        /**
+         *
+         * transaction
+         *
+            runs fn( db ) between begin() and commit(), and returns what it returns. if fn throws,
+            the transaction is rolled back and the error rethrown. if fn returns a Promise, the
+            transaction ends when it settles, and transaction() returns a Promise of its result
+              db.transaction(function(db) { db.remove( {order:7} ); db.insert( items ); });
+         */
+        transaction: function( fn )
+        {
+            var that = this;
+            var result;
+            this.begin();
+            try {
+                result = fn.call( this, this );
+            } catch(e) {
+                this.rollback();
+                throw e;
             }
-        }, // this.save
+            if ( !result || typeof result.then !== "function" ) {
+                this.commit();
+                return result;
+            }
+            return Promise.resolve( result ).then(function(value) {
+                that.commit();
+                return value;
+            }, function(e) {
+                that.rollback();
+                throw e;
+            });
+        }, // this.transaction
+
+        /**
+         *
+         * saveAsync
+         *
+            like save(), but returns a Promise and doesn't block while compressing and writing.
+            saves run one at a time, in order; a save requested while another one is waiting
+            to start shares that one's Promise, since it will write the latest rows anyway.
+            rejects with SaveError
+         */
+        saveAsync: function(_mode)
+        {
+            var root = this._root || this;
+            if ( root._save_pending )
+                return root._save_pending;
+
+            var run = function() {
+                root._save_pending = null;
+                return save_async( root, _mode );
+            };
+            var p = ( root._save_queue || Promise.resolve() ).then( run, run );
+            root._save_pending = p;
+            root._save_queue = p;
+            return p;
+        }, // this.saveAsync
 
         // returns last _id insert
         insert: function( Arg ) 
@@ -485,12 +4711,23 @@
                     return -1;
                 }
 
-                if ( !obj["_id"] ) {
-//                    obj["_id"] = ++that._id;
-                    obj = addToFront( obj, '_id', ++that._id );
+                // the db keeps its own copy, so changing obj later can't get past the indexes
+                obj = deep_clone( obj );
+                if ( !has_id(obj) ) {
+                    obj = addToFront( obj, '_id', that.id_strategy( that ) );
                 }
 
+                validate_row( that, obj ); // throws ValidationError
+                that.index_check( obj ); // throws DuplicateKeyError
                 that.master.push(obj);
+                that.index_add( obj );
+                that.record_change( {op:'insert', doc:obj} );
+                if ( listening( that, 'insert' ) )
+                    emit( that, 'insert', {op:'insert', _id:obj['_id'], doc:deep_clone( obj )} );
+
+                // keep auto-increment ahead of caller-supplied numeric ids
+                if ( typeof obj["_id"] === "number" && obj["_id"] > that._id )
+                    that._id = Math.floor( obj["_id"] );
 
                 return obj["_id"];
             }
@@ -512,8 +4749,18 @@
          *
          * update
          *
+            update operators:
+              $set, $unset, $inc, $mul, $rename, $min, $max, $currentDate,
+              $push (with $each, $position, $slice, $sort), $pull, $pop, $addToSet (with $each)
+
+              several operators may be combined, and fields may be dotted paths: {$inc:{"stats.views":1}}
+              throws MongoliteError on unknown operators, or when two operators target the same path
+              with a validator (see setValidator) every updated document is checked first; if one fails
+              ValidationError is thrown and none of them is changed
+
             options:
-              upsert - If set to true, creates a new document when no document matches the query criteria. default is false
+              upsert - If set to true, creates a new document when no document matches the query criteria: the query's
+                equality fields, with the update applied. default is false
               multi - If set to true, updates multiple documents that meet the query criteria. If set to false, updates one document. default is false.
 
             returns the number of rows altered
@@ -523,17 +4770,20 @@
             if ( arguments.length < 2 )
                 return 0;
 
-            if ( type_of(query) !== "object" ||
+            if ( ( type_of(query) !== "object" && typeof query !== "function" ) ||
                 type_of(_update) !== "object" )
                 return 0;
 
             if ( arguments.length === 3 && type_of(options) !== "object" )
                 return 0;
 
-            var set = _update['$set'];
-            if ( !set )
+            // no update operators, nothing to do
+            if ( _firstKey(_update) === null || _firstKey(_update).charAt(0) !== '$' )
                 return 0;
 
+            // throws on unknown or conflicting operators, before anything is changed
+            var ops = parse_update( _update );
+
             // these are the rows we're updating
             var res = this.do_query( query );
 
@@ -546,91 +4796,284 @@
 
             // chance to upsert
             if ( res.length === 0 && do_upsert ) {
-                this.insert( set );
+                var doc = upsert_seed( query );
+                apply_update( doc, ops );
+                this.insert( doc );
                 return 1;
             }
 
-            var rows_altered = 0;
-
-            // foreach row of the matching result
+            // foreach row of the matching result, the updated copy. every copy is validated
+            //  before any row is changed, so one failing document leaves all of them as they were
+            var updates = [];
             for ( var i = 0, l = res.length; i < l; i++ ) {
-                var row = res[i];
-                // foreach key/value in $set, update a row
-                var did_change = false;
-                for ( var j in set ) {
-                    if ( set.hasOwnProperty(j) ) {
-                        var key = j;
-                        var value = set[j];
-                        if ( !row[key] || row[key] !== value ) {
-                            row[key] = value;
-                            did_change = true;
-                        }
-                    }
+                var copy = updated_copy( res[i], ops );
+                if ( copy ) {
+                    validate_row( this, copy ); // throws ValidationError
+                    updates.push( {row:res[i], copy:copy} );
                 }
-                if ( did_change )
-                    ++rows_altered;
                 if ( !do_multi ) 
                     break; // do 1 row only 
             }
 
-            return rows_altered;
+            updates.forEach(function(u) {
+                var row = u.row;
+                var id = row['_id'];
+                var before = listening( this, 'update' ) ? deep_clone( row ) : null;
+                this.index_check( u.copy, row ); // throws DuplicateKeyError
+                this.index_remove( row );
+                replace_contents( row, u.copy );
+                this.index_add( row );
+                this.record_change( {op:'update', _id:id, doc:row} );
+                if ( before )
+                    emit( this, 'update', {op:'update', _id:id, before:before, after:deep_clone( row )} );
+            }, this);
+
+            return updates.length;
         }, // this.update
 
-        find: function( match ) 
+        // projection picks the fields returned:
+        //  {name:1,"address.city":1}       only these (and _id, unless {_id:0})
+        //  {history:0}                     everything but these
+        //  {comments:{$slice:5}}           first 5 elements of an array ([skip,limit] or -n also work)
+        //  {results:{$elemMatch:{...}}}    first matching array element
+        find: function( match, projection ) 
         {
+            var project = compile_projection( projection );
             var res = this.do_query( match );
-            var dbres = new db_result( res );
+            var dbres;
+            if ( project ) {
+                // projecting copies what it keeps, so no second clone is needed
+                dbres = new db_result();
+                dbres._data = res.map( project );
+                dbres.length = dbres._data.length;
+            } else {
+                dbres = new db_result( res );
+            }
             res = null;
             return dbres;
         }, // this.find
 
+        // turns a query into a reusable predicate, function( row ) -> true|false,
+        //  which can be passed to find(), update(), remove() and db_result.filter()
+        //  in place of the query. Throws MongoliteError on unknown operators
+        compile: function( query )
+        {
+            return compile_query( query );
+        }, // this.compile
+
+        /**
+         *
+         * aggregate
+         *
+            runs rows through a pipeline of stages, like MongoDB:
+              $match, $project, $addFields ($set), $group, $sort, $skip, $limit, $unwind, $count,
+              $lookup (with "from" set to a collection name, or another opened db)
+
+            $group accumulators: $sum, $avg, $min, $max, $push, $first, $last
+            expressions: "$field", $add, $subtract, $multiply, $divide, $mod, $concat, $toUpper, $toLower,
+              $size, $arrayElemAt, $ifNull, $cond, $and, $or, $not, $eq, $ne, $gt, $gte, $lt, $lte, $literal
+
+            options:
+              collation - string ordering for $sort, eg. {locale:"en",strength:2}. See db_result.sort
+
+            returns a db_result
+         */
+        aggregate: function( pipeline, options )
+        {
+            var context = { db:this, collation:options ? options.collation : undefined };
+            return new db_result( run_pipeline( this.master, pipeline, context ) );
+        }, // this.aggregate
+
+        /**
+         *
+         * collection
+         *
+            a handle to a named collection in this db file, with the same find/insert/update/remove
+            API as the db itself. it is created, empty, if it doesn't exist yet:
+              var users = db.collection('users');
+              users.insert( {name:"Bat"} );
+              db.save();      // or users.save(), either saves the whole file
+
+            the db returned by open() is the collection named "default"
+         */
+        collection: function( name )
+        {
+            var root = this._root || this;
+            if ( name === default_collection )
+                return root;
+            check_collection_name( name );
+            if ( !root._collections.hasOwnProperty(name) ) {
+                var gone = root._gone_collections;
+                if ( gone && gone.hasOwnProperty(name) ) {
+                    root._collections[name] = gone[name];
+                    gone[name].setup_rows( [] );
+                    delete gone[name];
+                } else {
+                    root._collections[name] = open_collection( root, name );
+                }
+                root.record_change( {op:'createCollection', name:name} );
+            }
+            return root._collections[name];
+        }, // this.collection
+
+        // names of the collections in this db file, "default" first
+        listCollections: function()
+        {
+            var root = this._root || this;
+            return [ default_collection ].concat( Object.keys( root._collections ) );
+        }, // this.listCollections
+
+        // like collection(), but throws if it already exists
+        createCollection: function( name )
+        {
+            if ( this.listCollections().indexOf( name ) !== -1 )
+                throw new MongoliteError( 'createCollection: collection "' + name + '" already exists' );
+            return this.collection( name );
+        }, // this.createCollection
+
+        // removes a named collection and its rows. returns false if there was no such collection
+        dropCollection: function( name )
+        {
+            var root = this._root || this;
+            if ( name === default_collection )
+                throw new MongoliteError( 'dropCollection: cannot drop the default collection' );
+            if ( !root._collections.hasOwnProperty(name) )
+                return false;
+            delete root._collections[name];
+            root.record_change( {op:'dropCollection', name:name} );
+            return true;
+        }, // this.dropCollection
+
+        renameCollection: function( from, to )
+        {
+            var root = this._root || this;
+            if ( from === default_collection || to === default_collection )
+                throw new MongoliteError( 'renameCollection: cannot rename to or from the default collection' );
+            check_collection_name( to );
+            if ( !root._collections.hasOwnProperty(from) )
+                throw new MongoliteError( 'renameCollection: no collection "' + from + '"' );
+            if ( root._collections.hasOwnProperty(to) )
+                throw new MongoliteError( 'renameCollection: collection "' + to + '" already exists' );
+
+            var c = root._collections[from];
+            delete root._collections[from];
+            c.collection_name = to;
+            root._collections[to] = c;
+            root.record_change( {op:'renameCollection', from:from, to:to} );
+            return c;
+        }, // this.renameCollection
+
+        /**
+         *
+         * createIndex
+         *
+            indexes a field, so queries on it needn't look at every row:
+              db.createIndex( {email:1}, {unique:true} )
+
+            equality, $in and $lt/$lte/$gt/$gte clauses on the field use the index.
+            the field may be a dotted path; arrays are indexed by element.
+
+            options:
+              unique - no two rows may have the same value (a missing field counts as null). default false
+              sparse - rows without the field are left out of the index. default false
+              name   - defaults to "field_1"
+
+            index definitions are saved with the db. returns the index name.
+            throws DuplicateKeyError if a unique index can't be built over the rows already there
+         */
+        createIndex: function( keys, options )
+        {
+            var ix = new db_index( keys, options );
+
+            for ( var i = 0; i < this._indexes.length; i++ ) {
+                var existing = this._indexes[i];
+                if ( existing.name === ix.name || deep_equal( existing.key, ix.key ) ) {
+                    if ( existing.name === ix.name && deep_equal( existing.key, ix.key ) &&
+                         existing.unique === ix.unique && existing.sparse === ix.sparse )
+                        return existing.name;
+                    throw new MongoliteError( 'createIndex: index "' + existing.name + '" already exists with different options' );
+                }
+            }
+
+            for ( var j = 0, l = this.master.length; j < l; j++ ) {
+                var row = this.master[j];
+                var value = ix.conflict( row );
+                if ( value !== undefined ) {
+                    throw new DuplicateKeyError( 'E11000 duplicate key error, index "' + ix.name + '", ' +
+                        ix.field + ': ' + ejson_stringify( value ), {index:ix.name, value:value} );
+                }
+                ix.add( row );
+            }
+
+            this._indexes.push( ix );
+            this.record_change( {op:'createIndex', index:ix.info()} );
+            return ix.name;
+        }, // this.createIndex
+
+        // by name, or by the keys it was created with. the _id_ index can't be dropped
+        dropIndex: function( name_or_keys )
+        {
+            for ( var i = 0; i < this._indexes.length; i++ ) {
+                var ix = this._indexes[i];
+                if ( ix.name === name_or_keys || deep_equal( ix.key, name_or_keys ) ) {
+                    if ( ix.name === '_id_' )
+                        throw new MongoliteError( 'dropIndex: cannot drop the _id_ index' );
+                    this._indexes.splice( i, 1 );
+                    this.record_change( {op:'dropIndex', name:ix.name} );
+                    return true;
+                }
+            }
+            throw new MongoliteError( 'dropIndex: index not found: ' + JSON.stringify( name_or_keys ) );
+        }, // this.dropIndex
+
+        // [{key:{field:1}, name:"field_1", unique:true}, ...]
+        getIndexes: function()
+        {
+            return this._indexes.map(function(ix) { return ix.info(); });
+        }, // this.getIndexes
+
+        // unique values of field among rows matching query, see db_result.distinct
+        distinct: function( field, query )
+        {
+            return distinct_values( this.do_query( query ), field );
+        }, // this.distinct
+
         // returns number rows altered
         remove: function( constraints ) 
         {
             if ( arguments.length === 0 )
                 var constraints = {};
-            if ( type_of(constraints) !== "object" )
+            if ( type_of(constraints) !== "object" && typeof constraints !== "function" )
                 return 0;
 
-            var rows_altered = 0;
-
             // get the rows to remove
             var rows = this.do_query( constraints );
             if ( rows.length === 0 )
                 return 0; 
-        
-            var rmids = [];
-
-            // collect row _id's
-            for ( var i = 0, l = rows.length; i < l; i++ ) {
-                var id = rows[i]['_id']; 
-                if ( !id )
-                    continue;
-                rmids.push( id );
-            }
 
-            if ( rmids.length === 0 )
-                return 0;
+            var doomed = new Set( rows );
+            var that = this;
 
-            var new_master = this.master.filter(function(row) {
-                for ( var i = 0, l = rmids.length; i < l; i++ ) {
-                    if ( row['_id'] && row['_id'] === rmids[i] ) {
-                        ++rows_altered;
-                        return false;
-                    } 
-                }    
-                return true;
+            this.master = this.master.filter(function(row) {
+                if ( !doomed.has(row) )
+                    return true;
+                that.index_remove( row );
+                return false;
             });
+            this.record_change( {op:'remove', ids:rows.map(function(row) { return row['_id']; })} );
+            if ( listening( this, 'remove' ) ) {
+                rows.forEach(function(row) {
+                    emit( that, 'remove', {op:'remove', _id:row['_id'], doc:deep_clone( row )} );
+                });
+            }
 
-            if ( rows_altered > 0 )
-                this.master = new_master;
-            
-            return rows_altered;
+            return rows.length;
 
         }, // this.remove
 
-        get_json: function() {
-            return JSON.stringify( this.master );
+        // the rows as Extended JSON, see storage format. fmt indents, as JSON.stringify's third argument
+        get_json: function(fmt) {
+            return ejson_stringify( this.master, fmt );
         }, // this.get_json
     
         now: function() 
@@ -665,279 +5108,335 @@
         // query matching functions
         detect_clause_type: function( key, value )
         {
-            switch ( type_of(value) )
-            {
-            case "boolean":
-            case "date":
-            case "number":
-            case "string": // NORMAL | SUBDOCUMENT_MATCH
-            case "regexp":
-                return key.indexOf('.') === -1 ? "CLAUSE_NORMAL" : "CLAUSE_SUBDOCUMENT_MATCH";
-            case "object": // CONDITIONAL | SUBDOCUMENT
-                var fk = _firstKey(value);
-                switch(fk) {
-                case '$gt': 
-                case '$gte': 
-                case '$lt': 
-                case '$lte': 
-                case '$exists':
-                    return "CLAUSE_CONDITIONAL";
-                default:
-                    return "CLAUSE_SUBDOCUMENT";
-                }
-                break;
-            case "array": // OR | ARRAY
-                return key === '$or' ? "CLAUSE_OR" : "CLAUSE_ARRAY";
-            default:
-                break;
-            }
-            return "CLAUSE_UNKNOWN";
-
+            return clause_type( key, value );
         }, // this.detect_clause_type
 
-        matching_rows_NORMAL: function( test, rows )
+        // (re)reads the db: from data, a json string, if given, else through its adapter.
+        //  loaded is what openAsync() already read, see decode_stored()
+        load: function( data, loaded )
         {
-            var res = [];
-            var i = 0;
+            var parsed = { data:[], indexes:[], collections:{}, journal:0 };
+            this._file_sig = undefined;     // see check_writable()
+            this._has_snapshot = false;     // whether the adapter has the db stored, for save() to append a journal to
+
+            // can populate db explicitly using a json string
+            // - if {}.data set, will override the other loading methods 
+            // - database will still save to named location, normally
+            if ( data ) {
+                parsed = parse_db_json( data );
+            }
 
-            // for all rows
-        next_row:
-            for ( var l = rows.length; i < l; i++ )
+            // read in db if it's there
+            else
             {
-                var row = rows[i];
-
-                // for each unique key in the row
-                for ( var key in row )
-                {
-                    // matches our query key
-                    if ( row.hasOwnProperty(key) && key === test.key ) 
-                    {
-                        // RegExps: equiv to SQL "like" statement
-                        if ( type_of( test.value ) === "regexp" ) {
-                            var sval = row[key] + '';
-                            if ( sval.match( test.value ) ) {
-                                res.push( row );
-                                continue next_row;
-                            }
-                        // compare number, date, string statements directly
-                        } else {
-                            if ( row[key] === test.value ) {
-                                res.push( row );
-                                continue next_row;
-                            }
-                        }
-                    } // key match
+                if ( !loaded ) {
+                    if ( !this.adapter.load )
+                        throw new MongoliteError( '"' + db_key( this ) + '" is stored asynchronously, open it with openAsync()' );
+                    loaded = decode_stored( this.adapter.load( db_key( this ) ), this.platform, this.encryption );
+                }
 
-                } // each row key
-    
-            } // each row
+                // compressed or not is told from a .gz or .br extension, or the contents
+                if ( !this.use_gzip && this.platform === "node_module" )
+                    this.use_gzip = extension_compression( this.db_path );
+                if ( !this.use_gzip )
+                    this.use_gzip = loaded.format;
 
-            return res;
-        }, // matching_rows_NORMAL
+                this._has_snapshot = loaded.stored !== null;
+                if ( this.adapter === storage_adapters.fs )
+                    this._file_sig = loaded.stored === null ? { path:this.db_path, missing:true } : file_signature( this.db_path, loaded.stored );
 
-        matching_rows_CONDITIONAL: function( test, rows )
-        {
-            var res = [];
-            var i = 0;
-            var cond = _firstKey(test.value);
+                // convert into master format
+                if ( loaded.text !== null )
+                    parsed = parse_db_json( loaded.text );
+            }
 
-        next_row:
-            // foreach row
-            for ( var l = rows.length; i < l; i++ )
-            {
-                var row = rows[i];
+            // flat array files, and the top level "data" of newer ones, are the default collection
+            this.setup_rows( parsed.data, parsed.indexes );
 
-                if ( cond === '$exists' ) {
-                    if ( test.value[cond] ) {   /* true */
-                        if ( row[test.key] ) {
-                            res.push( row );
-                            continue next_row;
-                        }
-                    } else {                    /* false */
-                        if ( ! row[test.key] ) {
-                            res.push( row );
-                            continue next_row;
-                        }
-                    }
-                    continue next_row;
+            // named collections keep their handles across reload(). the handles of ones that are
+            //  gone are kept too, for collection() to give back if they're made again
+            var handles = this._gone_collections || {};
+            for ( var h in this._collections ) {
+                if ( this._collections.hasOwnProperty(h) )
+                    handles[h] = this._collections[h];
+            }
+            this._collections = {};
+            for ( var c in parsed.collections ) {
+                if ( !parsed.collections.hasOwnProperty(c) )
+                    continue;
+                if ( handles.hasOwnProperty(c) ) {
+                    this._collections[c] = handles[c];
+                    handles[c].setup_rows( parsed.collections[c].data, parsed.collections[c].indexes );
+                    delete handles[c];
+                } else {
+                    this._collections[c] = open_collection( this, c, parsed.collections[c].data, parsed.collections[c].indexes );
                 }
-
-                // for every unique key in row
-                for ( var key in row )
-                {
-                    // key matches
-                    if ( row.hasOwnProperty(key) && key === test.key ) 
-                    {
-                        switch ( cond ) {
-                        case '$lt':
-                            if ( row[key] < test.value[cond] ) {
-                                res.push(row);
-                                continue next_row;
-                            }
-                            break;
-                        case '$lte':
-                            if ( row[key] <= test.value[cond] ) {
-                                res.push(row);
-                                continue next_row;
-                            }
-                            break;
-                        case '$gt':
-                            if ( row[key] > test.value[cond] ) {
-                                res.push(row);
-                                continue next_row;
-                            }
-                            break;
-                        case '$gte':
-                            if ( row[key] >= test.value[cond] ) {
-                                res.push(row);
-                                continue next_row;
-                            }
-                            break;
-                        default:
-                            break;
-                        }
-                    } // key match
-                } // each key in row
-            } // each row
-
-            // remove the key:value from test object
-            if ( cond )
-                delete test.value[cond];
-
-            return res;
-        }, // matching_rows_CONDITIONAL
-
-        matching_rows_OR: function( array, rows )
+            }
+            this._gone_collections = handles;
+
+            // changes made, and how many of them are saved. see isDirty()
+            this._changes = 0;
+            this._saved_changes = 0;
+            this._unsaved = [];             // records of the changes since the last save, as JSON: journal lines, and for reload()
+
+            this._journal_seq = parsed.journal;
+            this._journal_size = 0;
+            this._journal_tag = '';         // of its last encrypted line, see journal_aad()
+            if ( this.journal )
+                replay_journal( this );
+        }, // this.load
+
+        // make rows the contents of this collection: gives every row an _id, and builds
+        //  the _id_ index plus the saved index definitions. throws DuplicateKeyError if two rows share an _id
+        setup_rows: function( rows, index_defs )
         {
-            var res = [];
-            var i = 0;
-        next_row:
-            for ( var l = rows.length; i < l; i++ )
-            {
-                var row = rows[i];
-
-                for ( var j = 0, la = array.length; j < la; j++ ) 
-                {
-                    var eltkey = _firstKey( array[j] );
-                    var eltval = array[j][eltkey];
-                    var test = { key:eltkey, value:eltval };
+            this.master = rows;
+            this._id = 0;                   // highest numeric _id, for the increment strategy
+            this._indexes = [];             // db_index's, see createIndex()
+            this._seq = new WeakMap();      // row -> insert order, so index lookups return rows in natural order
+            this._next_seq = 0;
 
-                    var clausetype = this.detect_clause_type( eltkey, eltval );
+            if ( this.master.length > 0 ) 
+            {
+                // next _id is 1 greater than highest _id
+                var highest = 0;
+                var any_missing = false;
+                this.master.forEach(function(row) {
+                    if ( ! has_id(row) )
+                        any_missing = true;
+                    else if ( typeof row['_id'] === "number" && row['_id'] > highest ) {
+                        highest = row['_id'];
+                    }
+                });
+                this._id = Math.floor( highest );
 
-                    switch ( clausetype )
-                    {
-                    case "CLAUSE_NORMAL":
-                        if ( type_of( test.value ) === "regexp" ) {
-                            if ( row[test.key].match( test.value ) ) {
-                                res.push( row );
-                                continue next_row;
-                            }
-                        } else {
-                            if ( row[test.key] === test.value ) {
-                                res.push( row );
-                                continue next_row;
-                            }
-                        }
-                        break;
-                    case "CLAUSE_CONDITIONAL":
-                        switch( _firstKey(test.value) ) {
-                        case '$gt':
-                            if ( row[test.key] > test.value['$gt'] ) {
-                                res.push(row);
-                                continue next_row;
-                            }
-                            break;
-                        case '$gte':
-                            if ( row[test.key] >= test.value['$gte'] ) {
-                                res.push(row);
-                                continue next_row;
-                            }
-                            break;
-                        case '$lt':
-                            if ( row[test.key] < test.value['$lt'] ) {
-                                res.push(row);
-                                continue next_row;
-                            }
-                            break;
-                        case '$lte':
-                            if ( row[test.key] <= test.value['$lte'] ) {
-                                res.push(row);
-                                continue next_row;
-                            }
-                            break;
-                        case '$exists':
-                            if ( row[test.key] !== undefined && test.value['$exists'] ) {
-                                res.push(row);
-                                continue next_row;
-                            } else if ( row[test.key] === undefined && !test.value['$exists'] ) {
-                                res.push(row);
-                                continue next_row;
-                            }
-                            break;
+                // rows w/o _id need to have one added 
+                if ( any_missing ) {
+                    for ( var i = 0, l = this.master.length; i < l; i++ ) {
+                        if ( ! has_id(this.master[i]) ) {
+                            this.master[i] = addToFront( this.master[i], '_id', this.id_strategy( this ) );
                         }
-                        break;
-                    default:
-                        break;
-                        //p( "NOT HANDLING CLAUSE TYPE: \"" + clausetype + '"' );
                     }
                 }
             }
-            return res;
-        }, // matching_rows_OR
 
-        do_query: function( clauses )
+            this.master.forEach(function(row) {
+                this._seq.set( row, this._next_seq++ );
+            }, this);
+            // loading isn't a change for the journal
+            this._loading = true;
+            this.createIndex( {_id:1}, {unique:true, name:'_id_'} );
+            ( index_defs || [] ).forEach(function(def) {
+                this.createIndex( def.key, def );
+            }, this);
+            this._loading = false;
+        }, // setup_rows
+
+        // rows defaults to the entire db, narrowed down by an index if the query allows.
+        //  clauses is a query object, or a compiled query
+        do_query: function( clauses, rows )
         {
-            var result = this.master;
+            var test = compile_query( clauses );
+            var result = rows || this.plan_query( test.query ) || this.master;
 
             // CLAUSE_EMPTY
-            if ( !clauses || (type_of(clauses)==="object" && _firstKey(clauses)===null) ) {
+            if ( test === match_all )
                 return result;
-            }
 
-            // 
-        next_clause:
-            for ( var clause in clauses ) 
-            { 
-                if ( ! clauses.hasOwnProperty(clause) )
-                    continue next_clause;
+            return result.filter( test );
+        }, // do_query
 
-                var clausetype = this.detect_clause_type(clause,clauses[clause]);
-                switch ( clausetype )
-                {
-                case "CLAUSE_NORMAL": // simple key/value 
-                    result = this.matching_rows_NORMAL( { key: clause, value: clauses[clause] }, result );
-                    break;
-                case "CLAUSE_CONDITIONAL":
-                    while ( _firstKey(clauses[clause]) !== null ) {
-                        result = this.matching_rows_CONDITIONAL( { key: clause, value: clauses[clause] }, result );
+        // every change to the db comes through here: it marks the db dirty, keeps a record of it
+        //  for the journal and reload({merge:true}), and autosaves. the record is stored as JSON
+        //  right away, since the rows it refers to may change again before then
+        record_change: function( record )
+        {
+            var root = this._root || this;
+            if ( root._replaying || this._loading )
+                return;
+            ++root._changes;
+
+            if ( root !== this )
+                record.c = this.collection_name;
+            if ( root.journal )
+                record.n = ++root._journal_seq;
+            root._unsaved.push( ejson_stringify( record ) );
+
+            if ( root.autosave )
+                autosave_after_change( root );
+        },
+
+        // replaying or merging an update record: the row with _id id becomes doc
+        replace_row: function( id, doc )
+        {
+            var row = this.do_query( {_id:id} )[0];
+            if ( !row )
+                throw new MongoliteError( 'journal: no row with _id ' + JSON.stringify( id ) + ' to update' );
+            this.index_check( doc, row );
+            this.index_remove( row );
+            replace_contents( row, doc );
+            this.index_add( row );
+            this.record_change( {op:'update', _id:id, doc:row} );
+        },
+
+        // the rows an index says may match query, in natural order, or null if no index helps.
+        //  uses the index which gives the fewest rows
+        plan_query: function( query )
+        {
+            if ( !is_plain_object(query) || this._indexes.length === 0 )
+                return null;
+
+            var best = null, best_size = Infinity;
+            this._indexes.forEach(function(ix) {
+                if ( !query.hasOwnProperty(ix.field) )
+                    return;
+                var lists = ix.candidates( query[ix.field] );
+                if ( !lists )
+                    return;
+                var size = 0;
+                lists.forEach(function(list) { size += list.size; });
+                if ( size < best_size ) {
+                    best = lists;
+                    best_size = size;
+                }
+            });
+            if ( !best )
+                return null;
+
+            var seen = new Set();
+            var rows = [];
+            best.forEach(function(list) {
+                list.forEach(function(row) {
+                    if ( !seen.has(row) ) {
+                        seen.add( row );
+                        rows.push( row );
                     }
-                    break;
-                case "CLAUSE_OR":
-                    result = this.matching_rows_OR( clauses[clause], result );
-                    break;
-                default:
-                    break;
-                    //p( "NOT HANDLING CLAUSE TYPE: \"" + clausetype + '"' );
+                });
+            });
+            var seq = this._seq;
+            rows.sort(function(a,b) { return seq.get(a) - seq.get(b); });
+            return rows;
+        }, // plan_query
+
+        // index maintenance, around every change to a row
+        index_check: function( row, except )
+        {
+            for ( var i = 0; i < this._indexes.length; i++ ) {
+                var ix = this._indexes[i];
+                var value = ix.conflict( row, except );
+                if ( value !== undefined ) {
+                    throw new DuplicateKeyError( 'E11000 duplicate key error, index "' + ix.name + '", ' +
+                        ix.field + ': ' + ejson_stringify( value ), {index:ix.name, value:value} );
                 }
             }
+        },
 
-            return result;
-        }, // do_query
+        index_add: function( row )
+        {
+            if ( !this._seq.has(row) )
+                this._seq.set( row, this._next_seq++ );
+            this._indexes.forEach(function(ix) { ix.add( row ); });
+        },
+
+        index_remove: function( row )
+        {
+            this._indexes.forEach(function(ix) { ix.remove( row ); });
+        },
 
         sortMaster: function ()
         {
             sortArrayOfObjectsByKeys( this.master );
+
+            // sorting copies the rows, so number and index them again
+            this._seq = new WeakMap();
+            this._next_seq = 0;
+            this.master.forEach(function(row) {
+                this._seq.set( row, this._next_seq++ );
+            }, this);
+            this._indexes.forEach(function(ix) { ix.rebuild( this.master ); }, this);
         }
 
     }; // db_object.prototype
 
+    // findAsync, insertAsync, updateAsync, removeAsync and aggregateAsync: the same as the sync
+    //  methods, but resolve with their result, or reject with what they would throw
+    ['find','insert','update','remove','aggregate'].forEach(function(name) {
+        db_object.prototype[name + 'Async'] = function() {
+            var that = this;
+            var args = arguments;
+            return new Promise(function(resolve) {
+                resolve( db_object.prototype[name].apply( that, args ) );
+            });
+        };
+    });
+
 
     /**
         - MAIN MODULE INTERFACE 
         - opens physical database (new one is created if non-existent)
         - returns handle to new db_object
+        - config is a path, or an object with any of:
+            db_name, db_dir, db_path, data (json string to start from),
+            use_gzip - true or "gzip", or "brotli". compression_level - see useGzip()
+            id_strategy - "increment" (default), "objectid", "uuid", or function( db ) returning a new _id
+            backup - save() keeps the previous file as db_path + ".bak"
+            journal - save() appends changes to db_path + ".journal" instead of rewriting the file.
+              compact_at - journal size in bytes past which save() compacts it, default 16MB
+            autosave - true (right after changes), a delay in ms, or {ops:n}. see isDirty() and close()
+              onerror - function( error ), called when an autosave fails
+            adapter - where the db is kept: "fs" (node's default), "localStorage" (the browser's), "memory",
+              "indexedDB" (openAsync() and saveAsync() only), or an adapter object, see storage adapters
+            lock - hold the db's lock until close(); throws LockError if another process holds it.
+              with fs, the lock is db_path + ".lock"
+              lock_stale - ms after which another process's lock is taken over. by default only locks
+              of processes no longer running are
+            readonly - the db can't be saved
+            sync - read the db again when another tab saves it, and emit "change". on by default in the browser.
+              needs BroadcastChannel, or the localStorage adapter; throws MongoliteError if asked for without either
+            encryption - {passphrase} or {key} (32 bytes): what is stored, and the journal, is encrypted with AES-256-GCM.
+              iterations - PBKDF2 rounds for a passphrase, default 600000. a wrong key throws DecryptionError, as does
+              a db or journal that isn't encrypted: rekey() encrypts an unencrypted db
     */
     mongolite.open = function ( config )
+    {
+        var db_config = open_config.call( this, config );
+        return db_config ? new db_object( db_config ) : mongolite;
+    }; // mongolite.open
+
+    /**
+        - like open(), but returns a Promise of the db_object
+        - the db is read, and decompressed, without blocking.
+          needed to open a compressed browser db, and for adapters that only have loadAsync(), like "indexedDB"
+    */
+    mongolite.openAsync = function ( config )
+    {
+        var that = this;
+        return new Promise(function(resolve) {
+            var db_config = open_config.call( that, config );
+            if ( !db_config || db_config.data ) {
+                resolve( db_config ? new db_object( db_config ) : mongolite );
+                return;
+            }
+
+            // read through the adapter without blocking, then make the db from what was read
+            var adapter = storage_adapter( db_config.adapter, db_config.platform );
+            var key = db_key( db_config );
+            var stored = adapter.loadAsync ? adapter.loadAsync( key ) : adapter.load( key );
+
+            // worked out here, so the salt that is read stays with the db
+            db_config.encryption = encryption_setting( db_config.encryption );
+            resolve( Promise.resolve( stored ).then(function(s) {
+                return decode_stored_async( s, db_config.platform, db_config.encryption );
+            }).then(function(loaded) {
+                db_config.loaded = loaded;
+                return new db_object( db_config );
+            }) );
+        });
+    }; // mongolite.openAsync
+
+    // works out db_name, db_dir and db_path from open()'s config; returns the config for db_object,
+    //  or null when the platform is unknown
+    function open_config( config )
     {
         // private variables
         var that = this;
@@ -953,9 +5452,10 @@
             this.db_dir     = path.resolve(__dirname);
             this.db_path    = 0;
 
-            // defaults to off; can be set by either: method() or config{}
-            // also: sets to ON automatically if file opened has *.gz extension
-            this.use_gzip   = false; 
+            // defaults to off; can be set by either: useGzip() or config{}
+            // also: sets to ON automatically if file opened has *.gz or *.br extension, or is compressed
+            this.use_gzip   = default_compression.use_gzip; 
+            this.compression_level = default_compression.level;
 
             return server_open( config );
 
@@ -972,33 +5472,43 @@
                     data = config.data;
             }
 
+            var _strategy = type_of(config) === "object" ? config.id_strategy : undefined;
+            var _gzip = type_of(config) === "object" && config.use_gzip ? config.use_gzip : default_compression.use_gzip;
+            var _autosave = type_of(config) === "object" ? config.autosave : undefined;
+            var _onerror = type_of(config) === "object" ? config.onerror : undefined;
+            var _adapter = type_of(config) === "object" ? config.adapter : undefined;
+            var _sync = type_of(config) === "object" ? config.sync : undefined;
+            var _encryption = type_of(config) === "object" ? config.encryption : undefined;
+
             if ( data ) 
-                return new db_object( {"platform":"browser",db_name:_name,data:data} );
+                return {"platform":"browser",db_name:_name,data:data,id_strategy:_strategy,use_gzip:_gzip,autosave:_autosave,onerror:_onerror,adapter:_adapter,sync:_sync,encryption:_encryption};
             else
-                return new db_object( {"platform":"browser",db_name:_name} );
+                return {"platform":"browser",db_name:_name,id_strategy:_strategy,use_gzip:_gzip,autosave:_autosave,onerror:_onerror,adapter:_adapter,sync:_sync,encryption:_encryption};
 
         default:
             p( "unknown platform" );
-            return mongolite;
+            return null;
         }
 
         function server_open( config )
         {
-            var parm_list = ['db_name','db_dir','db_path','use_gzip'];
+            var parm_list = ['db_name','db_dir','db_path','use_gzip','compression_level'];
 
             // assume it is either (in this order): path, fullpath, filename
             if ( arguments.length > 0 && typeof config === "string" ) 
             {
                 try {
-                    // is file 
-                    var data = fs.readFileSync(config,{encoding:"utf8",flag:'r'}); // throws if Directory or File doesn't exist
-
-                    // fullpath
-                    that.db_path = path.resolve(config);
-                    // name
-                    that.db_name = clip_all_leading( that.db_path.substring( that.db_path.lastIndexOf('/'), that.db_path.length ), '/' );
-                    // dir
-                    that.db_dir = that.db_path.substring(0, that.db_path.lastIndexOf( that.db_name ));
+                    // throws if File doesn't exist. stat only, the db_object reads it
+                    if ( fs.statSync(config).isDirectory() ) {
+                        that.db_dir = path.resolve(config);
+                    } else {
+                        // fullpath
+                        that.db_path = path.resolve(config);
+                        // name
+                        that.db_name = clip_all_leading( that.db_path.substring( that.db_path.lastIndexOf('/'), that.db_path.length ), '/' );
+                        // dir
+                        that.db_dir = that.db_path.substring(0, that.db_path.lastIndexOf( that.db_name ));
+                    }
 
                 } 
                 catch(e) 
@@ -1011,10 +5521,6 @@
                         that.db_name = clip_all_leading( that.db_path.substring( that.db_path.lastIndexOf('/'), that.db_path.length ), '/' );
                         that.db_dir = that.db_path.substring(0, that.db_path.lastIndexOf( that.db_name ));
                         break;
-                    case "EISDIR":
-                        // is a directory: get db_dir
-                        that.db_dir = path.resolve(config);
-                        break;
                     default:
                         // who knows
                         break;
@@ -1067,16 +5573,36 @@
                     that.db_path = that.db_dir + '/' + that.db_name;
             }
     
-            var _data = config && config.data ? config.data : undefined;
+            var db_config = {db_path:that.db_path,db_dir:that.db_dir,db_name:that.db_name,"platform":that.platform,use_gzip:that.use_gzip,compression_level:that.compression_level};
 
-            return new db_object( {db_path:that.db_path,db_dir:that.db_dir,db_name:that.db_name,"platform":that.platform,use_gzip:that.use_gzip,data:_data} );
+            // the rest of config goes to db_object as is
+            ['data','id_strategy','backup','journal','compact_at','autosave','onerror','lock','lock_stale','readonly','adapter','sync','encryption'].forEach(function(k) {
+                if ( config && typeof config === "object" && config[k] )
+                    db_config[k] = config[k];
+            });
+            return db_config;
         } // server_open()
 
-    }; // mongolite.open
+    } // open_config
+
+    mongolite.MongoliteError = MongoliteError;
+    mongolite.DuplicateKeyError = DuplicateKeyError;
+    mongolite.SaveError = SaveError;
+    mongolite.ConflictError = ConflictError;
+    mongolite.LockError = LockError;
+    mongolite.QuotaError = QuotaError;
+    mongolite.ValidationError = ValidationError;
+    mongolite.DecryptionError = DecryptionError;
+
+    // the built-in storage adapters, by name
+    mongolite.adapters = storage_adapters;
 
-    mongolite.useGzip = function() {
+    // compression for dbs opened from now on: true or "gzip", "brotli", or false.
+    //  level is gzip's 1-9 or brotli's 0-11; the default favors speed
+    mongolite.useGzip = function( format, level ) {
         if ( arguments.length > 0 ) {
-            this.use_gzip = arguments[0];
+            default_compression.use_gzip = compression_format( format );
+            default_compression.level = level;
         }
     }
 
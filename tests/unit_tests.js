@@ -4,6 +4,7 @@ function UnitTest() {
     this.num_tests = 0;
     this.num_failed = 0;
     this.fs = require('fs');
+    this.tmp_dirs = [];     // made by tmp_dir(), not yet removed
     var that = this;
 //    process.on('exit',function() { this.report(); });
 }
@@ -36,6 +37,31 @@ UnitTest.prototype = {
         }
     },
 
+    // a new, empty directory in the system's temp dir, for a section's files. what a failed
+    //  section leaves behind is removed on exit
+    tmp_dir: function( name ) {
+        var dir = this.fs.mkdtempSync( require('path').join( require('os').tmpdir(), 'mongolite-' + name + '-' ) );
+        this.tmp_dirs.push( dir );
+        return dir;
+    },
+
+    // removes a tmp_dir() and what is in it. fs.rmSync is node 14.14+
+    rm_dir: function( dir ) {
+        var that = this;
+        if ( this.tmp_dirs.indexOf( dir ) !== -1 )
+            this.tmp_dirs.splice( this.tmp_dirs.indexOf( dir ), 1 );
+        if ( this.fs.rmSync )
+            return this.fs.rmSync( dir, {recursive:true} );
+        this.fs.readdirSync( dir ).forEach(function(name) {
+            var path = require('path').join( dir, name );
+            if ( that.fs.lstatSync( path ).isDirectory() )
+                that.rm_dir( path );
+            else
+                that.fs.unlinkSync( path );
+        });
+        this.fs.rmdirSync( dir );
+    },
+
     report: function() {
         this.p( "\n=======================\n * " + this.num_tests + " tests passed successfully" );
         if ( this.num_failed > 0 ) 
@@ -47,7 +73,10 @@ UnitTest.prototype = {
 
 var db_name = "MONGO-UNITTEST.db";
 var U = new UnitTest();
-process.on('exit',function() { U.report(); });
+process.on('exit',function() {
+    U.tmp_dirs.slice().forEach(function(dir) { U.rm_dir( dir ); });
+    U.report();
+});
 
 if ( U.fs.existsSync( db_name ) ) {
     U.p( '"'+db_name+'" found. Removing...' );
@@ -176,4 +205,917 @@ U.test("A=[];db.find(/.*/).skip(40).limit(20)._data.forEach(function(o){A.push(o
     DISTINCT
 */
 U.p( "\nDISTINCT: " );
+db.remove();
+db.insert( [{status:'A',amount:10,tags:['x','y'],who:{city:'Kyakhta'}},{status:'B',amount:5,tags:['y']},
+            {status:'A',amount:20,tags:[],who:{city:'Chita'}},{status:'A',amount:30,who:{city:'Kyakhta'}},{amount:1}] );
+U.test( "db.find().distinct('status')", '["A","B"]' );
+U.test( "db.find().distinct('tags')", '["x","y"]' );
+U.test( "db.find().distinct('who.city',{amount:{$gt:10}})", '["Chita","Kyakhta"]' );
+U.test( "db.distinct('status',{amount:{$lt:10}})", '["B"]' );
+U.test( "db.find().countBy('status')", '[{"_id":"A","count":3},{"_id":"B","count":1},{"_id":null,"count":1}]' );
+var infdb = mongolite.open( {db_name:'INF-UNITTEST.db',data:'[]'} );
+infdb.insert( [{v:Infinity},{v:-Infinity},{v:NaN}] );
+U.test( "infdb.distinct('v').map(String)", '["Infinity","-Infinity","NaN"]' );
+U.test( "infdb.find().countBy('v').length", '3' );
+infdb.createIndex( {v:1}, {unique:true} );
+U.test( "infdb.find({v:{$lt:0}}).count() + ' ' + infdb.find({v:-Infinity}).count()", '"1 1"' );
+U.test( "db.find({status:{$exists:true}}).group('status',{n:{$sum:1},total:{$sum:'$amount'},avg:{$avg:'$amount'},hi:{$max:'$amount'}})",
+        '[{"_id":"A","n":3,"total":60,"avg":20,"hi":30},{"_id":"B","n":1,"total":5,"avg":5,"hi":5}]' );
+U.test( "db.find({status:'A'}).group({s:'status',c:'who.city'},{n:{$sum:1}})",
+        '[{"_id":{"s":"A","c":"Kyakhta"},"n":2},{"_id":{"s":"A","c":"Chita"},"n":1}]' );
+
+
+/*
+    UPDATE OPERATORS
+*/
+U.p( "\nUPDATE OPERATORS: " );
+var udb = mongolite.open( {db_name:'UPDATE-UNITTEST.db',data:'[]'} );
+udb.insert( {item:'pen',qty:5,price:2,tags:['a'],stats:{views:1}} );
+U.test( "udb.update( {item:'pen'}, {$inc:{qty:2,'stats.views':1},$mul:{price:3}} )", 1 );
+U.test( "udb.find({item:'pen'})._data[0]", '{"_id":1,"item":"pen","qty":7,"price":6,"tags":["a"],"stats":{"views":2}}' );
+U.test( "udb.update( {item:'pen'}, {$unset:{price:''},$rename:{qty:'quantity'}} ); udb.find({item:'pen'})._data[0]", '{"_id":1,"item":"pen","tags":["a"],"stats":{"views":2},"quantity":7}' );
+U.test( "udb.update( {item:'pen'}, {$min:{quantity:3},$max:{'stats.views':10}} ); udb.find({item:'pen'})._data[0]", '{"_id":1,"item":"pen","tags":["a"],"stats":{"views":10},"quantity":3}' );
+U.test( "udb.update( {item:'pen'}, {$max:{item:'Pen'}} )", '0' );
+U.test( "udb.update( {item:'pen'}, {$push:{tags:{$each:['d','c','b'],$sort:1,$slice:3}}} ); udb.find({item:'pen'})._data[0].tags", '["a","b","c"]' );
+U.test( "udb.update( {item:'pen'}, {$addToSet:{tags:{$each:['a','z']}},$pop:{n:1}} ); udb.find({item:'pen'})._data[0].tags", '["a","b","c","z"]' );
+U.test( "udb.update( {item:'pen'}, {$pull:{tags:'b'}} ); udb.find({item:'pen'})._data[0].tags", '["a","c","z"]' );
+U.test( "udb.update( {item:'pen'}, {$pop:{tags:-1}} ); udb.find({item:'pen'})._data[0].tags", '["c","z"]' );
+U.test( "udb.update( {item:'pen'}, {$currentDate:{seen:true}} ); udb.find({item:'pen'})._data[0].seen instanceof Date", 'true' );
+U.test( "udb.update( {item:'pen'}, {$set:{quantity:3}} )", 0 );
+U.test( "try { udb.update( {item:'pen'}, {$set:{stats:1},$inc:{'stats.views':1}} ); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "try { udb.update( {item:'pen'}, {$bogus:{a:1}} ); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "udb.update( {item:'cup'}, {$inc:{qty:1}}, {upsert:true} ); udb.find({qty:1})._data[0]", '{"_id":2,"item":"cup","qty":1}' );
+U.test( "udb.update( {page:'home', n:{$gt:1}}, {$inc:{hits:1}}, {upsert:true} ); udb.update( {page:'home'}, {$inc:{hits:1}}, {upsert:true} ); udb.find({page:'home'})._data", '[{"_id":3,"page":"home","hits":2}]' );
+U.test( "udb.update( {$and:[{'a.b':1},{c:{$eq:2}}], d:/x/}, {$set:{e:3}}, {upsert:true} ); udb.find({e:3},{_id:0})._data", '[{"a":{"b":1},"c":2,"e":3}]' );
+
+/*
+    DOT NOTATION & EMBEDDED DOCUMENTS
+*/
+U.p( "\nDOT NOTATION: " );
+var ddb = mongolite.open( {db_name:'DOT-UNITTEST.db',data:'[]'} );
+ddb.insert( [{name:'Ayur',address:{city:'Ulan-Ude',zip:670000},items:[{sku:'a1',qty:2},{sku:'b2',qty:9}]},
+             {name:'Bair',address:{city:'Irkutsk',zip:664000},items:[{sku:'c3',qty:1}]},
+             {name:'Dorzho'}] );
+U.test( "ddb.find({'address.city':'Ulan-Ude'}).count()", 1 );
+U.test( "ddb.find({'address.zip':{$lt:670000}})._data[0].name", '"Bair"' );
+U.test( "ddb.find({'address.city':/^I/})._data[0].name", '"Bair"' );
+U.test( "ddb.find({'items.sku':'b2'})._data[0].name", '"Ayur"' );
+U.test( "ddb.find({'items.0.sku':'b2'}).count()", 0 );
+U.test( "ddb.find({'items.1.qty':{$gt:5}})._data[0].name", '"Ayur"' );
+U.test( "ddb.find({'address.city':{$exists:false}})._data[0].name", '"Dorzho"' );
+U.test( "ddb.find({address:{city:'Irkutsk',zip:664000}})._data[0].name", '"Bair"' );
+U.test( "ddb.find({address:{zip:664000,city:'Irkutsk'}}).count()", 0 );
+U.test( "ddb.find({$or:[{'address.city':'Irkutsk'},{'items.qty':{$gte:9}}]}).count()", 2 );
+
+/*
+    ARRAY FIELDS
+*/
+U.p( "\nARRAY FIELDS: " );
+var adb = mongolite.open( {db_name:'ARRAY-UNITTEST.db',data:'[]'} );
+adb.insert( [{n:1,tags:['red','blank'],scores:[82,85,88],results:[{product:'abc',score:10},{product:'xyz',score:5}]},
+             {n:2,tags:['blank','red'],scores:[75,88,89],results:[{product:'abc',score:8},{product:'xyz',score:7}]},
+             {n:3,tags:['red','blank','plain'],scores:[60],results:[]},
+             {n:4,tags:'red'}] );
+U.test( "adb.find({tags:'plain'})._data.map(function(r){return r.n;})", '[3]' );
+U.test( "adb.find({tags:'red'}).count()", 4 );
+U.test( "adb.find({tags:['red','blank']})._data.map(function(r){return r.n;})", '[1]' );
+U.test( "adb.find({tags:{$all:['blank','red']}})._data.map(function(r){return r.n;})", '[1,2,3]' );
+U.test( "adb.find({tags:{$size:3}})._data.map(function(r){return r.n;})", '[3]' );
+U.test( "adb.find({scores:{$gt:88}})._data.map(function(r){return r.n;})", '[2]' );
+U.test( "adb.find({scores:{$gt:80,$lt:85}})._data.map(function(r){return r.n;})", '[1,2]' );
+U.test( "adb.find({scores:{$elemMatch:{$gt:80,$lt:85}}})._data.map(function(r){return r.n;})", '[1]' );
+U.test( "adb.find({results:{$elemMatch:{product:'xyz',score:{$gte:7}}}})._data.map(function(r){return r.n;})", '[2]' );
+U.test( "adb.find({$or:[{tags:{$size:1}},{scores:{$elemMatch:{$lt:70}}}]})._data.map(function(r){return r.n;})", '[3]' );
+U.test( "adb.update( {tags:'plain'}, {$set:{plain:true}} )", 1 );
+U.test( "adb.remove( {scores:{$size:3}} )", 2 );
+
+/*
+    COMPARISON & LOGICAL OPERATORS
+*/
+U.p( "\nCOMPARISON & LOGICAL OPERATORS: " );
+var odb = mongolite.open( {db_name:'OPS-UNITTEST.db',data:'[]'} );
+odb.insert( [{n:1,name:'Arslan',qty:5,tags:['x']},{n:2,name:'bata',qty:15,tags:['y','z']},{n:3,name:'Chingis',qty:'20'},{n:4,qty:null}] );
+var ns = function(r) { return r._data.map(function(o){return o.n;}); };
+U.test( "ns(odb.find({qty:{$in:[5,15]}}))", '[1,2]' );
+U.test( "ns(odb.find({tags:{$in:['z',/^q/]}}))", '[2]' );
+U.test( "ns(odb.find({tags:{$nin:['x']}}))", '[2,3,4]' );
+U.test( "ns(odb.find({qty:{$ne:5}}))", '[2,3,4]' );
+U.test( "ns(odb.find({qty:{$eq:15}}))", '[2]' );
+U.test( "ns(odb.find({name:{$regex:'^a',$options:'i'}}))", '[1]' );
+U.test( "ns(odb.find({name:{$options:'i',$regex:/^B/}}))", '[2]' );
+U.test( "ns(odb.find({name:{$regex:/a/g}})) + ' ' + ns(odb.find({name:{$in:[/a/g]}})) + ' ' + ns(odb.find({name:{$nin:[/a/g]}}))", '"1,2 1,2 3,4"' );
+U.test( "ns(odb.find({qty:{$type:'string'}}))", '[3]' );
+U.test( "ns(odb.find({qty:{$type:['null','int']}}))", '[1,2,4]' );
+U.test( "ns(odb.find({qty:{$mod:[5,0]}}))", '[1,2]' );
+U.test( "ns(odb.find({qty:{$not:{$gt:10}}}))", '[1,3,4]' );
+U.test( "ns(odb.find({name:{$not:/^[A-Z]/}}))", '[2,4]' );
+U.test( "ns(odb.find({$and:[{qty:{$gt:1}},{qty:{$lt:10}}]}))", '[1]' );
+U.test( "ns(odb.find({$nor:[{qty:5},{name:{$exists:false}}]}))", '[2,3]' );
+U.test( "ns(odb.find({$or:[{$and:[{qty:{$type:'number'}},{qty:{$gte:15}}]},{$or:[{name:'Chingis'}]}]}))", '[2,3]' );
+U.test( "ns(odb.find({$or:[{qty:{$gt:1,$lt:10}},{$nor:[{qty:{$exists:true}}]}]}))", '[1]' );
+
+/*
+    COMPILED QUERIES
+*/
+U.p( "\nCOMPILED QUERIES: " );
+var cq = {qty:{$gt:1,$lt:20}};
+U.test( "ns(odb.find(cq)); ns(odb.find(cq))", '[1,2]' );
+U.test( "cq", '{"qty":{"$gt":1,"$lt":20}}' );
+var pred = odb.compile( {$or:[{qty:5},{name:'Chingis'}]} );
+U.test( "[pred({qty:5}), pred({qty:6})]", '[true,false]' );
+U.test( "ns(odb.find(pred))", '[1,3]' );
+U.test( "ns(odb.find().filter({qty:{$type:'number'}}).filter(pred))", '[1]' );
+U.test( "try { odb.compile({qty:{$gte:1,$bogus:2}}); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "try { odb.find({$where:'1'}); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "odb.update( odb.compile({n:4}), {$set:{qty:0}} )", 1 );
+U.test( "odb.remove( odb.compile({qty:0}) )", 1 );
+
+/*
+    PROJECTION
+*/
+U.p( "\nPROJECTION: " );
+U.test( "ddb.find({name:'Ayur'},{name:1,'address.city':1})._data", '[{"_id":1,"name":"Ayur","address":{"city":"Ulan-Ude"}}]' );
+U.test( "ddb.find({name:'Ayur'},{_id:0,'items.sku':1})._data", '[{"items":[{"sku":"a1"},{"sku":"b2"}]}]' );
+U.test( "ddb.find({name:'Bair'},{items:0,address:0})._data", '[{"_id":2,"name":"Bair"}]' );
+U.test( "ddb.find({name:'Bair'},{_id:0,'address.zip':0,items:0})._data", '[{"name":"Bair","address":{"city":"Irkutsk"}}]' );
+U.test( "ddb.find({name:'Ayur'},{_id:0,name:1,items:{$slice:-1}})._data", '[{"name":"Ayur","items":[{"sku":"b2","qty":9}]}]' );
+U.test( "ddb.find({name:'Ayur'},{_id:0,address:0,items:{$slice:[1,1]}})._data", '[{"name":"Ayur","items":[{"sku":"b2","qty":9}]}]' );
+U.test( "ddb.find({'items.qty':{$exists:true}},{items:{$elemMatch:{qty:{$gt:1}}}})._data", '[{"_id":1,"items":[{"sku":"a1","qty":2}]},{"_id":2}]' );
+U.test( "ddb.find({name:'Dorzho'},{_id:1})._data", '[{"_id":3}]' );
+U.test( "try { ddb.find({},{name:1,items:0}); } catch(e) { e.name }", '"MongoliteError"' );
+
+/*
+    AGGREGATE
+*/
+U.p( "\nAGGREGATE: " );
+var sales = mongolite.open( {db_name:'SALES-UNITTEST.db',data:'[]'} );
+sales.insert( [{item:'tea',price:10,qty:2,tags:['hot','drink'],cust:1},{item:'milk',price:5,qty:10,tags:['cold'],cust:2},
+               {item:'tea',price:10,qty:5,tags:[],cust:1},{item:'buuz',price:20,qty:1,cust:3}] );
+var custs = mongolite.open( {db_name:'CUSTS-UNITTEST.db',data:'[{"cid":1,"name":"Tuya"},{"cid":2,"name":"Bolor"}]'} );
+U.test( "sales.aggregate([{$match:{price:{$lt:20}}},{$group:{_id:'$item',total:{$sum:{$multiply:['$price','$qty']}},n:{$sum:1},avg:{$avg:'$qty'},qtys:{$push:'$qty'}}},{$sort:{total:-1}}])._data",
+        '[{"_id":"tea","total":70,"n":2,"avg":3.5,"qtys":[2,5]},{"_id":"milk","total":50,"n":1,"avg":10,"qtys":[10]}]' );
+U.test( "sales.aggregate([{$group:{_id:null,first:{$first:'$item'},last:{$last:'$item'},lo:{$min:'$price'},hi:{$max:'$price'}}}])._data",
+        '[{"_id":null,"first":"tea","last":"buuz","lo":5,"hi":20}]' );
+U.test( "sales.aggregate([{$project:{_id:0,item:1,cost:{$multiply:['$price','$qty']},big:{$gte:['$qty',5]}}},{$skip:1},{$limit:2}])._data",
+        '[{"item":"milk","cost":50,"big":true},{"item":"tea","cost":50,"big":true}]' );
+U.test( "sales.aggregate([{$match:{item:'buuz'}},{$addFields:{label:{$concat:[{$toUpper:'$item'},'!']}}},{$project:{_id:0,label:1}}])._data", '[{"label":"BUUZ!"}]' );
+U.test( "sales.aggregate([{$unwind:'$tags'},{$project:{_id:0,tags:1}}])._data", '[{"tags":"hot"},{"tags":"drink"},{"tags":"cold"}]' );
+U.test( "sales.aggregate([{$unwind:{path:'$tags',preserveNullAndEmptyArrays:true}},{$count:'n'}])._data", '[{"n":5}]' );
+U.test( "sales.aggregate([{$match:{cust:{$lt:3}}},{$lookup:{from:custs,localField:'cust',foreignField:'cid',as:'who'}},{$project:{_id:0,name:{$arrayElemAt:['$who.name',0]}}}])._data",
+        '[{"name":"Tuya"},{"name":"Bolor"},{"name":"Tuya"}]' );
+U.test( "sales.find({item:'tea'},{_id:0,item:1,tags:1})._data", '[{"item":"tea","tags":["hot","drink"]},{"item":"tea","tags":[]}]' );
+U.test( "try { sales.aggregate([{$bogus:{}}]); } catch(e) { e.name }", '"MongoliteError"' );
+
+/*
+    SORT
+*/
+U.p( "\nSORT: " );
+var sdb = mongolite.open( {db_name:'SORT-UNITTEST.db',data:'[]'} );
+sdb.insert( [{n:1,last:'Smith',age:30,v:0},{n:2,last:'adams',age:40,v:'x'},{n:3,last:'Smith',age:50,v:false},
+             {n:4,last:'Adams',age:20},{n:5,last:'smith',age:30,v:null,p:{q:2}},{n:6,last:'item10',v:[3,1],p:{q:1}},{n:7,last:'item9',v:2}] );
+U.test( "ns(sdb.find({n:{$lt:6}}).sort({last:1,age:-1}))", '[4,3,1,2,5]' );
+U.test( "ns(sdb.find({n:{$lt:6}}).sort({last:1,age:-1},{locale:'en',strength:2}))", '[2,4,3,1,5]' );
+U.test( "ns(sdb.find({n:{$lt:6}}).sort({last:1},{locale:'simple'}))", '[4,1,3,2,5]' );
+U.test( "ns(sdb.find({age:30}).sort({age:1}))", '[1,5]' );
+U.test( "ns(sdb.find({last:{$lt:'a'}}).sort({n:1})) + ' ' + ns(sdb.find({n:{$lt:6}}).sort({last:1})).slice(0,3)", '"1,3,4 4,1,3"' );
+U.test( "ns(sdb.find().sort({v:1}))", '[4,5,1,6,7,2,3]' );
+U.test( "ns(sdb.find().sort({v:-1}))", '[3,2,6,7,1,4,5]' );
+U.test( "ns(sdb.find({p:{$exists:true}}).sort({'p.q':1}))", '[6,5]' );
+U.test( "ns(sdb.find({last:/^item/}).sort({last:1},{locale:'en',numericOrdering:true}))", '[7,6]' );
+U.test( "sdb.aggregate([{$match:{last:/^item/}},{$sort:{last:1}},{$project:{_id:0,last:1}}],{collation:{numericOrdering:true}})._data", '[{"last":"item9"},{"last":"item10"}]' );
+U.test( "try { sdb.find().sort({age:'up'}); } catch(e) { e.name }", '"MongoliteError"' );
+
+/*
+    INDEXES
+*/
+U.p( "\nINDEXES: " );
+var idb = mongolite.open( {db_name:'INDEX-UNITTEST.db',data:'[]'} );
+idb.insert( [{n:1,email:'a@x',age:30,tags:['p','q']},{n:2,email:'b@x',age:20},{n:3,age:40,tags:['q']},{n:4,email:'d@x',age:'25'}] );
+U.test( "idb.createIndex({email:1},{unique:true,sparse:true})", '"email_1"' );
+U.test( "idb.createIndex({age:-1})", '"age_-1"' );
+U.test( "idb.createIndex({tags:1},{name:'by_tag'})", '"by_tag"' );
+U.test( "idb.getIndexes()", '[{"key":{"_id":1},"name":"_id_","unique":true},{"key":{"email":1},"name":"email_1","unique":true,"sparse":true},{"key":{"age":-1},"name":"age_-1"},{"key":{"tags":1},"name":"by_tag"}]' );
+U.test( "ns(idb.find({email:'b@x'}))", '[2]' );
+U.test( "ns(idb.find({age:{$gte:25}}))", '[1,3]' );
+U.test( "ns(idb.find({age:{$in:[40,20,'25']}}))", '[2,3,4]' );
+U.test( "ns(idb.find({tags:'q',age:{$lt:35}}))", '[1]' );
+U.test( "try { idb.insert({email:'a@x'}); } catch(e) { e.name + ' ' + e.index }", '"DuplicateKeyError email_1"' );
+U.test( "idb.count()", '4' );
+U.test( "try { idb.update({n:2},{$set:{email:'d@x'}}); } catch(e) { e.name }", '"DuplicateKeyError"' );
+U.test( "idb.update({n:2},{$set:{email:'e@x',age:45}})", '1' );
+U.test( "ns(idb.find({email:'b@x'}))", '[]' );
+U.test( "ns(idb.find({age:{$gt:35}}))", '[2,3]' );
+U.test( "idb.remove({tags:'q'})", '2' );
+U.test( "ns(idb.find({age:{$gt:0}}))", '[2]' );
+U.test( "try { idb.createIndex({age:1},{unique:true,name:'age_u'}); idb.insert({age:45}); } catch(e) { e.name }", '"DuplicateKeyError"' );
+U.test( "try { idb.createIndex({n:1},{unique:true}); idb.insert({}); idb.insert({}); } catch(e) { e.value }", 'null' );
+U.test( "idb.dropIndex({age:-1})", 'true' );
+U.test( "try { idb.dropIndex('age_-1'); } catch(e) { e.name }", '"MongoliteError"' );
+var ins = {_id:'mine', e:'a', sub:{v:1}};
+var insdb = mongolite.open( {db_name:'INDEX3-UNITTEST.db',data:'[]'} );
+insdb.createIndex( {e:1} );
+insdb.insert( ins );
+ins.e = 'z';
+ins.sub.v = 2;
+U.test( "insdb.find({e:'a'})._data.map(function(r) { return r._id + ' ' + r.sub.v; })", '["mine 1"]' );
+U.test( "insdb.find({e:'z'}).count()", '0' );
+var index_dir = U.tmp_dir( 'index' );
+var index_path = require('path').join( index_dir, 'index.db' );
+var xdb = mongolite.open( {db_name:'INDEX2-UNITTEST.db',data:'[]'} );
+xdb.insert( [{k:'a'},{k:'b'}] );
+xdb.createIndex( {k:1}, {unique:true} );
+xdb.db_path = index_path;
+xdb.save();
+var xdb2 = mongolite.open( index_path );
+U.test( "xdb2.getIndexes()", '[{"key":{"_id":1},"name":"_id_","unique":true},{"key":{"k":1},"name":"k_1","unique":true}]' );
+U.test( "try { xdb2.insert({k:'b'}); } catch(e) { e.name }", '"DuplicateKeyError"' );
+U.test( "xdb2.find({k:'b'}).count()", '1' );
+U.rm_dir( index_dir );
+
+/*
+    _ID STRATEGIES
+*/
+U.p( "\n_ID STRATEGIES: " );
+var zdb = mongolite.open( {db_name:'ID-UNITTEST.db',data:'[{"_id":0,"a":1},{"_id":"","a":2},{"a":3},{"_id":7,"a":4}]'} );
+U.test( "zdb.find().getArray().map(function(r){return r._id;})", '[0,"",8,7]' );
+U.test( "zdb.insert({a:5})", '9' );
+U.test( "zdb.insert({_id:20,a:6}) + zdb.insert({a:7})", '41' );
+U.test( "try { zdb.insert({_id:0,a:8}); } catch(e) { e.name + ' ' + e.index + ' ' + e.value }", '"DuplicateKeyError _id_ 0"' );
+U.test( "zdb.count()", '7' );
+U.test( "zdb.remove({_id:0})", '1' );
+U.test( "zdb.find({a:{$lt:3}}).count()", '1' );
+U.test( "try { zdb.update({a:2},{$set:{_id:7}}); } catch(e) { e.name }", '"DuplicateKeyError"' );
+U.test( "try { zdb.dropIndex('_id_'); } catch(e) { e.name }", '"MongoliteError"' );
+var oid = mongolite.open( {db_name:'OID-UNITTEST.db',data:'[]',id_strategy:'objectid'} );
+U.test( "/^[0-9a-f]{24}$/.test( oid.insert({a:1}) )", 'true' );
+U.test( "oid.insert({a:2}) !== oid.insert({a:3})", 'true' );
+var uid = mongolite.open( {db_name:'UUID-UNITTEST.db',data:'[{"a":1}]',id_strategy:'uuid'} );
+U.test( "/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test( uid.find().getArray()[0]._id )", 'true' );
+U.test( "mongolite.open( {db_name:'FN-UNITTEST.db',data:'[]',id_strategy:function(db){ return 'row' + db.count(); }} ).insert({})", '"row0"' );
+U.test( "try { mongolite.open( {db_name:'BAD-UNITTEST.db',data:'[]',id_strategy:'serial'} ); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "try { mongolite.open( {db_name:'DUP-UNITTEST.db',data:'[{\"_id\":1},{\"_id\":1}]'} ); } catch(e) { e.name }", '"DuplicateKeyError"' );
+
+/*
+    COLLECTIONS
+*/
+U.p( "\nCOLLECTIONS: " );
+var cdb = mongolite.open( {db_name:'COLL-UNITTEST.db',data:'[{"name":"Bat"},{"name":"Dorj"}]'} );
+var users = cdb.collection('users');
+U.test( "cdb.listCollections()", '["default","users"]' );
+U.test( "users.insert([{name:'Saraa',team:1},{name:'Tuul',team:2}])", '2' );
+U.test( "users.find({team:2},{_id:0})._data", '[{"name":"Tuul","team":2}]' );
+U.test( "cdb.count() + ' ' + users.count()", '"2 2"' );
+U.test( "cdb.collection('users') === users && cdb.collection('default') === cdb", 'true' );
+U.test( "users.update({name:'Saraa'},{$inc:{team:5}}) + users.remove({team:2})", '2' );
+U.test( "cdb.createCollection('teams').insert({team:6,title:'red'})", '1' );
+U.test( "try { cdb.createCollection('teams'); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "users.aggregate([{$lookup:{from:'teams',localField:'team',foreignField:'team',as:'t'}},{$project:{_id:0,title:{$arrayElemAt:['$t.title',0]}}}])._data", '[{"title":"red"}]' );
+U.test( "cdb.renameCollection('teams','squads').count()", '1' );
+U.test( "cdb.listCollections()", '["default","users","squads"]' );
+U.test( "cdb.dropCollection('squads') + ' ' + cdb.dropCollection('squads')", '"true false"' );
+U.test( "try { cdb.collection('bad$name'); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "try { cdb.dropCollection('default'); } catch(e) { e.name }", '"MongoliteError"' );
+var coll_dir = U.tmp_dir( 'coll' );
+var coll_path = require('path').join( coll_dir, 'coll.db' );
+require('fs').writeFileSync( coll_path, '[{"_id":1,"a":1}]' );
+var cdb2 = mongolite.open( coll_path );
+cdb2.collection('logs').createIndex( {level:1} );
+cdb2.collection('logs').insert( {level:'warn'} );
+cdb2.collection('logs').save();
+var cdb3 = mongolite.open( coll_path );
+U.test( "JSON.parse( require('fs').readFileSync( coll_path, 'utf8' ) ).mongolite", '1' );
+U.test( "cdb3.find()._data", '[{"_id":1,"a":1}]' );
+U.test( "cdb3.collection('logs').find({level:'warn'}).count() + ' ' + cdb3.collection('logs').getIndexes().length", '"1 2"' );
+U.rm_dir( coll_dir );
+
+/*
+    ATOMIC SAVE
+*/
+U.p( "\nATOMIC SAVE: " );
+var save_dir = U.tmp_dir( 'save' );
+var save_path = require('path').join( save_dir, 'save.db' );
+var vdb = mongolite.open( {db_path:save_path, backup:true} );
+vdb.insert( {v:1} );
+vdb.save();
+vdb.insert( {v:2} );
+vdb.save();
+U.test( "JSON.parse( require('fs').readFileSync( save_path, 'utf8' ) ).length", '2' );
+U.test( "JSON.parse( require('fs').readFileSync( save_path + '.bak', 'utf8' ) ).length", '1' );
+U.test( "require('fs').readdirSync( save_dir ).sort()", '["save.db","save.db.bak"]' );
+// a save keeps the file's permissions
+require('fs').chmodSync( save_path, 384 );     // 0600
+vdb.save();
+U.test( "( require('fs').statSync( save_path ).mode & 511 ).toString(8)", '"600"' );
+vdb.db_path = require('path').join( save_dir, 'missing', 'save.db' );
+U.test( "try { vdb.save(); } catch(e) { e.name + ' ' + (e.path === vdb.db_path) + ' ' + e.cause.code }", '"SaveError true ENOENT"' );
+U.test( "require('fs').readdirSync( save_dir ).length", '2' );
+U.rm_dir( save_dir );
+
+/*
+    ASYNC
+*/
+var async_dir = U.tmp_dir( 'async' );
+var adb1, adb2, gzdb, saves;
+mongolite.openAsync( require('path').join( async_dir, 'async.db' ) ).then(function(db) {
+    U.p( "\nASYNC: " );
+    adb1 = db;
+    U.test( "adb1.count()", '0' );
+    return adb1.insertAsync( [{a:1},{a:2}] );
+}).then(function(id) {
+    U.test( "'" + id + "'", '"2"' );
+    saves = [ adb1.saveAsync(), adb1.saveAsync(), adb1.saveAsync() ];
+    U.test( "saves[0] === saves[1] && saves[1] === saves[2]", 'true' );
+    return Promise.all( saves );
+}).then(function() {
+    require('fs').chmodSync( adb1.db_path, 384 );     // 0600
+    adb1.insert( {a:3} );
+    return adb1.saveAsync();
+}).then(function() {
+    U.test( "( require('fs').statSync( adb1.db_path ).mode & 511 ).toString(8)", '"600"' );
+    adb1.remove( {a:3} );
+    return adb1.saveAsync();
+}).then(function() {
+    return mongolite.openAsync( {db_path:adb1.db_path} );
+}).then(function(db) {
+    adb2 = db;
+    return adb2.findAsync( {a:2}, {_id:0} );
+}).then(function(res) {
+    U.test( "adb2.find({a:2},{_id:0})._data", '[{"a":2}]' );
+    return adb2.insertAsync( {_id:1} ).catch(function(e) { return e.name; });
+}).then(function(name) {
+    U.test( "'" + name + "'", '"DuplicateKeyError"' );
+    adb2.db_path = require('path').join( async_dir, 'missing', 'async.db' );
+    return adb2.saveAsync().catch(function(e) { return e.name; });
+}).then(function(name) {
+    U.test( "'" + name + "'", '"SaveError"' );
+    return mongolite.openAsync( require('path').join( async_dir, 'async.db.gz' ) );
+}).then(function(db) {
+    gzdb = db;
+    gzdb.insert( {z:'zipped'} );
+    return gzdb.saveAsync();
+}).then(function() {
+    U.test( "JSON.parse( require('zlib').gunzipSync( require('fs').readFileSync( gzdb.db_path ) ).toString() )", '[{"_id":1,"z":"zipped"}]' );
+    return mongolite.openAsync( gzdb.db_path );
+}).then(function(db) {
+    U.test( "'" + db.find()._data[0].z + "'", '"zipped"' );
+    U.rm_dir( async_dir );
+}).catch(function(e) {
+    U.test( JSON.stringify( e.stack ), '"no error"' );
+});
+
+/*
+    COMPRESSION
+*/
+U.p( "\nCOMPRESSION: " );
+var zip_dir = U.tmp_dir( 'zip' );
+var zip_file = function( name ) { return require('path').join( zip_dir, name ); };
+var head = function( name ) { return require('fs').readFileSync( zip_file(name) ).slice(0,2).toString('hex'); };
+var gdb = mongolite.open( zip_file('g.db.gz') );
+gdb.insert( {word:'sain'} );
+gdb.save();
+U.test( "head('g.db.gz') + ' ' + gdb.use_gzip", '"1f8b gzip"' );
+U.test( "mongolite.open( zip_file('g.db.gz') ).find()._data", '[{"_id":1,"word":"sain"}]' );
+var bdb = mongolite.open( {db_path:zip_file('b.db'), use_gzip:'brotli', compression_level:11} );
+bdb.insert( {word:'baina'} );
+bdb.save();
+U.test( "require('fs').readFileSync( zip_file('b.db') )[0] !== 0x5b", 'true' );
+var bdb2 = mongolite.open( zip_file('b.db') );
+U.test( "bdb2.use_gzip + ' ' + bdb2.find()._data[0].word", '"brotli baina"' );
+U.test( "require('zlib').brotliDecompressSync( require('fs').readFileSync( zip_file('b.db') ) ).toString()", '"[{\\"_id\\":1,\\"word\\":\\"baina\\"}]"' );
+mongolite.useGzip( true, 9 );
+var ugdb = mongolite.open( zip_file('u.db') );
+mongolite.useGzip( false );
+ugdb.save();
+U.test( "head('u.db') + ' ' + ugdb.compression_level + ' ' + mongolite.open( zip_file('p.db') ).use_gzip", '"1f8b 9 false"' );
+U.test( "try { mongolite.open( {db_path:zip_file('x.db'), use_gzip:'zip'} ); } catch(e) { e.name }", '"MongoliteError"' );
+require('fs').writeFileSync( zip_file('junk.db'), 'not json' );
+U.test( "try { mongolite.open( zip_file('junk.db') ); } catch(e) { e.name }", '"MongoliteError"' );
+U.rm_dir( zip_dir );
+
+/*
+    JOURNAL
+*/
+U.p( "\nJOURNAL: " );
+var jdir = U.tmp_dir( 'journal' );
+var jpath = require('path').join( jdir, 'j.db' );
+var jopen = function( o ) { return mongolite.open( Object.assign( {db_path:jpath, journal:true}, o ) ); };
+var snapshot = function() { return JSON.parse( require('fs').readFileSync( jpath, 'utf8' ) ); };
+var jdb = jopen();
+jdb.insert( [{n:1},{n:2}] );
+jdb.save();
+U.test( "snapshot().data.length + ' ' + require('fs').existsSync( jdb.journal_path )", '"2 false"' );
+jdb.insert( {n:3} );
+jdb.update( {n:1}, {$set:{x:'y'}} );
+jdb.remove( {n:2} );
+jdb.createIndex( {n:1} );
+jdb.collection('logs').insert( {msg:'hi'} );
+jdb.save();
+U.test( "snapshot().data.length + ' ' + require('fs').readFileSync( jdb.journal_path, 'utf8' ).split('\\n').length", '"2 7"' );
+var jdb2 = jopen();
+U.test( "jdb2.find()._data", '[{"_id":1,"n":1,"x":"y"},{"_id":3,"n":3}]' );
+U.test( "jdb2.getIndexes().length + ' ' + jdb2.collection('logs').count()", '"2 1"' );
+require('fs').appendFileSync( jdb.journal_path, '{"op":"insert","doc":{"n"' );
+var jdb3 = jopen();
+U.test( "jdb3.count() + ' ' + /\\n$/.test( require('fs').readFileSync( jdb3.journal_path, 'utf8' ) )", '"2 true"' );
+var jcopy = require('fs').readFileSync( jdb3.journal_path );
+jdb3.compact();
+U.test( "snapshot().data.length + ' ' + snapshot().journal + ' ' + require('fs').existsSync( jdb3.journal_path )", '"2 8 false"' );
+require('fs').writeFileSync( jdb3.journal_path, jcopy );   // as if the journal outlived a compact()
+U.test( "jopen().find()._data", '[{"_id":1,"n":1,"x":"y"},{"_id":3,"n":3}]' );
+var jdb4 = jopen( {compact_at:10} );
+jdb4.insert( {n:4} );
+jdb4.save();
+U.test( "snapshot().data.length + ' ' + require('fs').existsSync( jdb4.journal_path )", '"3 false"' );
+require('fs').writeFileSync( jdb4.journal_path, 'garbage\n' );
+U.test( "try { jopen(); } catch(e) { e.name }", '"MongoliteError"' );
+U.rm_dir( jdir );
+
+/*
+    EXTENDED JSON
+*/
+U.p( "\nEXTENDED JSON: " );
+var ejdir = U.tmp_dir( 'ejson' );
+var ejpath = require('path').join( ejdir, 'x.db' );
+var ejtypes = function( row ) {
+    return [ row.at instanceof Date && row.at.getTime(), row.re instanceof RegExp && row.re + '', typeof row.big + ' ' + row.big,
+             Buffer.isBuffer( row.bin ) && row.bin.toString('hex'), row.inf ].join(' ');
+};
+var ejdb = mongolite.open( {db_path:ejpath} );
+ejdb.insert( {_id:1, at:new Date(86400000), re:/^a.c$/gi, big:BigInt('9007199254740993'), bin:Buffer.from([1,2,255]), inf:-Infinity} );
+ejdb.insert( {_id:2, at:new Date(0)} );
+ejdb.save();
+U.test( "JSON.parse( require('fs').readFileSync( ejpath, 'utf8' ) )[0].at", '{"$date":"1970-01-02T00:00:00.000Z"}' );
+U.test( "JSON.parse( require('fs').readFileSync( ejpath, 'utf8' ) )[0].bin", '{"$binary":{"base64":"AQL/","subType":"00"}}' );
+var ejdb2 = mongolite.open( {db_path:ejpath} );
+U.test( "ejtypes( ejdb2.find({_id:1})._data[0] )", '"86400000 /^a.c$/gi bigint 9007199254740993 0102ff -Infinity"' );
+U.test( "ejdb2.find( {at:{$gt:new Date(1)}}, {_id:1} )._data", '[{"_id":1}]' );
+U.test( "ejdb2.find( {big:{$type:'long'}, bin:Buffer.from([1,2,255])}, {_id:1} )._data", '[{"_id":1}]' );
+U.test( "ejdb2.find().sort( {at:1} )._data.map(function(r) { return r._id; })", '[2,1]' );
+U.test( "ejdb2.find({_id:2}).get_json()", '"[{\\"_id\\":2,\\"at\\":{\\"$date\\":\\"1970-01-01T00:00:00.000Z\\"}}]"' );
+U.test( "JSON.parse( ejdb2.get_json(2) )[0].big", '{"$numberLong":"9007199254740993"}' );
+U.test( "/\\n  /.test( ejdb2.find({_id:2}).get_json(2) )", 'true' );
+ejdb2.find({_id:1})._data[0].bin[0] = 9;
+U.test( "ejdb2.master[0].bin[0]", '1' );
+var ejj = mongolite.open( {db_path:ejpath, journal:true} );
+ejj.update( {_id:2}, {$set:{at:new Date(5), big:BigInt(7)}} );
+ejj.save();
+var ejj2 = mongolite.open( {db_path:ejpath, journal:true} );
+U.test( "ejj2.find({_id:2})._data[0].at.getTime() + ' ' + typeof ejj2.find({_id:2})._data[0].big", '"5 bigint"' );
+U.test( "ejj2.find( {big:7} ).count() + ' ' + ejj2.find( {big:BigInt(7)} ).count()", '"1 1"' );
+U.test( "ejj2.find( {big:{$gt:1}} ).count() + ' ' + ejj2.find( {big:{$gt:BigInt(1), $lt:8}} ).count() + ' ' + ejj2.find( {_id:{$lt:BigInt(2)}} ).count()", '"2 1 1"' );
+ejj2.createIndex( {big:1} );
+U.test( "ejj2.find( {big:{$gte:7, $lte:BigInt('9007199254740993')}} ).count() + ' ' + ejj2.find( {big:{$lt:BigInt(8)}} ).count()", '"2 1"' );
+U.test( "ejj2.update( {_id:2}, {$inc:{big:1}} ); ejj2.update( {_id:2}, {$mul:{big:BigInt(2)}} ); ejj2.find( {big:BigInt(16)} ).count()", '1' );
+U.test( "ejj2.update( {_id:2}, {$inc:{n:BigInt(1)}} ); typeof ejj2.find({_id:2})._data[0].n", '"bigint"' );
+U.test( "try { ejj2.update( {_id:2}, {$inc:{big:0.5}} ); } catch(e) { e.name }", '"MongoliteError"' );
+U.rm_dir( ejdir );
+
+/*
+    ENCRYPTION
+*/
+U.p( "\nENCRYPTION: " );
+var endir = U.tmp_dir( 'enc' );
+var enpath = function( name ) { return require('path').join( endir, name ); };
+var enc = {passphrase:'secret', iterations:1000};
+var enopen = function( name, encryption, o ) { return mongolite.open( Object.assign( {db_path:enpath(name), encryption:encryption}, o ) ); };
+var endb = enopen( 'e.db', enc );
+endb.insert( {name:'alice', at:new Date(0)} );
+endb.save();
+var enfile = require('fs').readFileSync( enpath('e.db'), 'utf8' );
+U.test( "JSON.parse( enfile ).cipher + ' ' + JSON.parse( enfile ).kdf.iterations + ' ' + /alice/.test( enfile )", '"aes-256-gcm 1000 false"' );
+U.test( "enopen( 'e.db', enc ).find()._data[0].at instanceof Date", 'true' );
+U.test( "try { enopen( 'e.db', {passphrase:'wrong', iterations:1000} ); } catch(e) { e.name }", '"DecryptionError"' );
+U.test( "try { enopen( 'e.db' ); } catch(e) { e.name + ' ' + (e instanceof mongolite.MongoliteError) }", '"DecryptionError true"' );
+var entampered = JSON.parse( enfile );
+entampered.data = ( entampered.data.charAt(0) === 'A' ? 'B' : 'A' ) + entampered.data.slice(1);
+require('fs').writeFileSync( enpath('t.db'), JSON.stringify( entampered ) );
+U.test( "try { enopen( 't.db', enc ); } catch(e) { e.name }", '"DecryptionError"' );
+U.test( "try { enopen( 'x.db', {passphrase:''} ); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "try { enopen( 'x.db', {key:Buffer.alloc(16)} ); } catch(e) { e.name }", '"MongoliteError"' );
+var engz = enopen( 'g.db.gz', enc );
+engz.insert( {n:1} );
+engz.save();
+U.test( "enopen( 'g.db.gz', enc ).count() + ' ' + enopen( 'g.db.gz', enc ).use_gzip", '"1 gzip"' );
+var enj = enopen( 'j.db', enc, {journal:true} );
+enj.insert( {n:1} );
+enj.save();
+enj.insert( {secret:'bob'} );
+enj.save();
+U.test( "/bob/.test( require('fs').readFileSync( enj.journal_path, 'utf8' ) ) + ' ' + enopen( 'j.db', enc, {journal:true} ).count()", '"false 2"' );
+// an encrypted db takes no unencrypted data, and its journal lines only decrypt in their order
+var enk = enopen( 'k.db', enc, {journal:true} );
+enk.insert( {n:1} );
+enk.save();
+enk.insert( {n:2} );
+enk.insert( {n:3} );
+enk.save();
+var enklines = require('fs').readFileSync( enk.journal_path, 'utf8' ).split('\n');
+var enkjournal = function( lines ) { require('fs').writeFileSync( enk.journal_path, lines.join('\n') ); };
+enkjournal( [enklines[0], enklines[1], '{"op":"insert","doc":{"_id":"evil"},"n":99}', ''] );
+U.test( "try { enopen( 'k.db', enc, {journal:true} ); } catch(e) { e.name }", '"DecryptionError"' );
+enkjournal( [enklines[1], enklines[0], ''] );
+U.test( "try { enopen( 'k.db', enc, {journal:true} ); } catch(e) { e.name }", '"DecryptionError"' );
+enkjournal( [enklines[1], ''] );
+U.test( "try { enopen( 'k.db', enc, {journal:true} ); } catch(e) { e.name }", '"DecryptionError"' );
+enkjournal( enklines );
+U.test( "enopen( 'k.db', enc, {journal:true} ).count()", '3' );
+require('fs').writeFileSync( enpath('p.db'), '[{"_id":1}]' );
+U.test( "try { enopen( 'p.db', enc ); } catch(e) { e.name }", '"DecryptionError"' );
+enopen( 'p.db' ).rekey( enc );
+U.test( "enopen( 'p.db', enc ).count()", '1' );
+var enkey = require('crypto').randomBytes( 32 );
+enj.rekey( {key:enkey} );
+U.test( "require('fs').existsSync( enj.journal_path ) + ' ' + enopen( 'j.db', {key:enkey}, {journal:true} ).count()", '"false 2"' );
+U.test( "try { enopen( 'j.db', enc ); } catch(e) { e.name }", '"DecryptionError"' );
+enj.rekey( null );
+U.test( "enopen( 'j.db' ).count()", '2' );
+// without WebCrypto, salts and ivs come from node's crypto module, never Math.random()
+var no_webcrypto = function( fn ) {
+    var desc = Object.getOwnPropertyDescriptor( global, 'crypto' );
+    var random = Math.random, calls = 0;
+    Object.defineProperty( global, 'crypto', {value:undefined, configurable:true, writable:true} );
+    Math.random = function() { calls++; return random(); };
+    try {
+        fn();
+    } finally {
+        Math.random = random;
+        if ( desc )
+            Object.defineProperty( global, 'crypto', desc );
+        else
+            delete global.crypto;
+    }
+    return calls;
+};
+var enrandom = no_webcrypto(function() { var d = enopen( 'r.db', enc ); d.insert( {n:1} ); d.save(); });
+U.test( "enrandom + ' ' + enopen( 'r.db', enc ).count()", '"0 1"' );
+var enasync;
+mongolite.openAsync( {db_path:enpath('e.db'), encryption:enc} ).then(function(db) {
+    return db.rekeyAsync( {passphrase:'new', iterations:1000} );
+}).then(function() {
+    U.p( "\nENCRYPTION (async): " );
+    U.test( "try { enopen( 'e.db', enc ); } catch(e) { e.name }", '"DecryptionError"' );
+    return mongolite.openAsync( {db_path:enpath('e.db'), encryption:{passphrase:'new', iterations:1000}} );
+}).then(function(db) {
+    enasync = db;
+    U.test( "enasync.count()", '1' );
+    U.rm_dir( endir );
+}).catch(function(e) {
+    U.test( JSON.stringify( e.stack ), '"no error"' );
+});
+
+/*
+    LOCKING & CONFLICTS
+*/
+U.p( "\nLOCKING & CONFLICTS: " );
+var lock_dir = U.tmp_dir( 'lock' );
+var lpath = require('path').join( lock_dir, 'l.db' );
+var ldb = mongolite.open( {db_path:lpath, lock:true} );
+ldb.insert( {a:1} );
+U.test( "require('fs').existsSync( lpath + '.lock' )", 'true' );
+U.test( "try { mongolite.open( {db_path:lpath, lock:true} ); } catch(e) { e.name + ' ' + (e.holder.pid === process.pid) }", '"LockError true"' );
+U.test( "ldb.close() === undefined", 'true' );
+U.test( "require('fs').existsSync( lpath + '.lock' ) + ' ' + mongolite.open( lpath ).count()", '"false 1"' );
+var dead_pid = require('child_process').spawnSync( process.execPath, ['-e', '0'] ).pid;
+require('fs').writeFileSync( lpath + '.lock', JSON.stringify( {pid:dead_pid, host:require('os').hostname(), time:Date.now(), token:'x'} ) );
+var ldb2 = mongolite.open( {db_path:lpath, lock:true} );
+U.test( "JSON.parse( require('fs').readFileSync( lpath + '.lock', 'utf8' ) ).pid === process.pid", 'true' );
+ldb2.close();
+// another process takes the stale lock over between this one finding it stale and moving it aside
+require('fs').writeFileSync( lpath + '.lock', JSON.stringify( {pid:dead_pid, host:require('os').hostname(), time:Date.now(), token:'x'} ) );
+var rename_sync = require('fs').renameSync;
+require('fs').renameSync = function( from, to ) {
+    require('fs').writeFileSync( lpath + '.lock', JSON.stringify( {pid:process.pid, host:require('os').hostname(), time:Date.now(), token:'theirs'} ) );
+    return rename_sync.apply( this, arguments );
+};
+var raced;
+try {
+    raced = mongolite.open( {db_path:lpath, lock:true} ).name;
+} catch(e) {
+    raced = e.name;
+} finally {
+    require('fs').renameSync = rename_sync;
+}
+U.test( "raced + ' ' + JSON.parse( require('fs').readFileSync( lpath + '.lock', 'utf8' ) ).token + ' ' + require('fs').readdirSync( lock_dir ).length", '"LockError theirs 2"' );
+require('fs').unlinkSync( lpath + '.lock' );
+var rdb = mongolite.open( {db_path:lpath, readonly:true} );
+rdb.insert( {a:2} );
+U.test( "try { rdb.save(); } catch(e) { e.name }", '"MongoliteError"' );
+rdb.close();
+U.test( "mongolite.open( lpath ).count()", '1' );
+var cdb1 = mongolite.open( lpath );
+var cdb2 = mongolite.open( lpath );
+cdb1.insert( {a:2} );
+cdb1.save();
+cdb2.insert( {_id:10, a:3} );
+U.test( "try { cdb2.save(); } catch(e) { e.name + ' ' + (e.path === lpath) }", '"ConflictError true"' );
+U.test( "cdb2.reload( {merge:true} ).length + ' ' + cdb2.find()._data.map(function(r) { return r.a; })", '"0 1,2,3"' );
+cdb2.save();
+U.test( "mongolite.open( lpath ).count()", '3' );
+cdb1.update( {a:1}, {$set:{b:1}} );
+cdb1.insert( {_id:10, a:4} );
+U.test( "cdb1.reload( {merge:true} ).map(function(s) { return s.error.name; })", '["DuplicateKeyError"]' );
+U.test( "cdb1.find( {a:1} )._data", '[{"_id":1,"a":1,"b":1}]' );
+cdb1.save();
+cdb2.reload();
+U.test( "cdb2.count() + ' ' + cdb2.isDirty()", '"3 false"' );
+U.rm_dir( lock_dir );
 
+/*
+    STORAGE ADAPTERS
+*/
+U.p( "\nSTORAGE ADAPTERS: " );
+var mem_dir = U.tmp_dir( 'mem' );
+var mem_path = require('path').join( mem_dir, 'mem.db' );
+var mdb = mongolite.open( {db_path:mem_path, adapter:'memory'} );
+mdb.insert( [{a:1},{a:2}] );
+mdb.save();
+U.test( "mongolite.open( {db_path:mem_path, adapter:'memory'} ).count() + ' ' + require('fs').existsSync( mem_path )", '"2 false"' );
+var mjdb = mongolite.open( {db_path:mem_path, adapter:'memory', journal:true} );
+mjdb.insert( {a:3} );
+mjdb.save();
+U.test( "mongolite.adapters.memory.load( mem_path + '.journal' ).split('\\n').length + ' ' + mongolite.open( {db_path:mem_path, adapter:'memory', journal:true} ).count()", '"2 3"' );
+var mldb = mongolite.open( {db_path:mem_path, adapter:'memory', lock:true} );
+U.test( "try { mongolite.open( {db_path:mem_path, adapter:'memory', lock:true} ); } catch(e) { e.name }", '"LockError"' );
+mldb.close();
+U.rm_dir( mem_dir );
+var kv = {};
+var kv_adapter = { load:function(key) { return kv[key] || null; }, save:function(key, data) { kv[key] = data; } };
+var kvdb = mongolite.open( {db_name:'kv.db', adapter:kv_adapter, use_gzip:true} );
+kvdb.insert( {a:1} );
+kvdb.save();
+U.test( "Buffer.isBuffer( kv[kvdb.db_path] ) + ' ' + mongolite.open( {db_name:'kv.db', adapter:kv_adapter} ).find({},{_id:0})._data[0].a", '"true 1"' );
+U.test( "try { mongolite.open( {db_name:'kv.db', adapter:kv_adapter, journal:true} ); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "try { mongolite.open( {db_name:'kv.db', adapter:kv_adapter, lock:true} ); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "try { mongolite.open( {db_name:'kv.db', adapter:'floppy'} ); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "try { mongolite.open( {db_name:'kv.db', adapter:{load:kv_adapter.load}} ); } catch(e) { e.name }", '"MongoliteError"' );
+var fake_storage = {
+    items: {},
+    getItem: function(k) { return this.items.hasOwnProperty(k) ? this.items[k] : null; },
+    setItem: function(k, v) {
+        if ( v.length > 100 ) { var e = new Error('quota'); e.name = 'QuotaExceededError'; throw e; }
+        this.items[k] = String(v);
+    },
+    removeItem: function(k) { delete this.items[k]; }
+};
+global.localStorage = fake_storage;
+var lsdb = mongolite.open( {db_name:'ls.db', adapter:'localStorage'} );
+lsdb.insert( {a:1} );
+lsdb.save();
+U.test( "fake_storage.getItem( lsdb.db_path )", '"[{\\"_id\\":1,\\"a\\":1}]"' );
+lsdb.insert( {text:new Array(100).join('x')} );
+U.test( "try { lsdb.save(); } catch(e) { e.name + ' ' + (e instanceof mongolite.SaveError) + ' ' + lsdb.isDirty() }", '"QuotaError true true"' );
+delete global.localStorage;
+var async_store = {};
+var async_adapter = {
+    loadAsync: function(key) { return Promise.resolve( async_store[key] || null ); },
+    saveAsync: function(key, data) { return new Promise(function(resolve) { setTimeout(function() { async_store[key] = data; resolve(); }, 5); }); }
+};
+U.test( "try { mongolite.open( {db_name:'as.db', adapter:async_adapter} ); } catch(e) { e.name }", '"MongoliteError"' );
+var asdb;
+mongolite.openAsync( {db_name:'as.db', adapter:async_adapter} ).then(function(db) {
+    asdb = db;
+    db.insert( {a:1} );
+    return db.saveAsync();
+}).then(function() {
+    return mongolite.openAsync( {db_name:'as.db', adapter:async_adapter} );
+}).then(function(db) {
+    U.p( "\nSTORAGE ADAPTERS (async): " );
+    asdb = db;
+    U.test( "asdb.count() + ' ' + asdb.isDirty()", '"1 false"' );
+    U.test( "try { asdb.save(); } catch(e) { e.name }", '"MongoliteError"' );
+    asdb.insert( {a:2} );
+    return asdb.close();
+}).then(function() {
+    return mongolite.openAsync( {db_name:'as.db', adapter:async_adapter} );
+}).then(function(db) {
+    asdb = db;
+    U.test( "asdb.count()", '2' );
+    // close() returns a Promise for such a db even with nothing to save
+    U.test( "asdb.close() instanceof Promise", 'true' );
+}).catch(function(e) {
+    U.test( JSON.stringify( e.stack ), '"no error"' );
+});
+
+/*
+    VALIDATION
+*/
+U.p( "\nVALIDATION: " );
+var warnings = [];
+var vdb2 = mongolite.open( {db_name:'VALID-UNITTEST.db',data:'[]',onerror:function(e) { warnings.push( e.errors ); }} );
+var person = {
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+        name: {type:'string', minLength:1},
+        age: {type:'integer', minimum:0, maximum:150},
+        email: {type:'string', pattern:'^[^@]+@[^@]+$'},
+        status: {enum:['active','gone']},
+        born: {type:['date','null']},
+        address: {type:'object', required:['city'], properties:{city:{type:'string'}}},
+        tags: {type:'array', maxItems:3, items:{type:'string'}}
+    }
+};
+vdb2.setValidator( person );
+U.test( "vdb2.insert( {name:'Tuya', age:30, born:new Date(0), tags:['a'], address:{city:'Ulan-Ude'}} )", '1' );
+U.test( "try { vdb2.insert( {nmae:'Tuya', age:-1.5} ); } catch(e) { e.name + ' ' + e.code + ' ' + JSON.stringify( e.errors ) }",
+    '"ValidationError 121 [{\\"path\\":\\"name\\",\\"message\\":\\"is required\\"},{\\"path\\":\\"nmae\\",\\"message\\":\\"is not allowed\\"},{\\"path\\":\\"age\\",\\"message\\":\\"must be of type integer\\"},{\\"path\\":\\"age\\",\\"message\\":\\"must be >= 0\\"}]"' );
+U.test( "try { vdb2.insert( {name:'B', address:{}, tags:['a',2], email:'nope', status:'x'} ); } catch(e) { e.errors.map(function(x) { return x.path; }) }",
+    '["address.city","tags.1","email","status"]' );
+U.test( "try { vdb2.update( {name:'Tuya'}, {$set:{'address.city':7}} ); } catch(e) { e.name }", '"ValidationError"' );
+var pdb = mongolite.open( {db_name:'PATTERN-UNITTEST.db',data:'[]'} );
+pdb.setValidator( {properties:{s:{type:'string', pattern:/a/g}}} );
+U.test( "pdb.insert( {s:'ab'} ); pdb.insert( {s:'ab'} ); pdb.count()", '2' );
+// a multi-update with a failing document changes none of them
+var mvdb = mongolite.open( {db_name:'VALID-MULTI-UNITTEST.db',data:'[{"_id":1,"a":1,"b":1},{"_id":2,"a":1}]'} );
+mvdb.setValidator( {required:['b']} );
+U.test( "try { mvdb.update( {a:1}, {$set:{c:1}}, {multi:true} ); } catch(e) { e.name + ' ' + mvdb.find( {c:1} ).count() }", '"ValidationError 0"' );
+U.test( "vdb2.find( {name:'Tuya'} )._data[0].address.city + ' ' + vdb2.count()", '"Ulan-Ude 1"' );
+vdb2.setValidator( person, {level:'warn'} );
+vdb2.insert( {name:''} );
+U.test( "warnings", '[[{"path":"name","message":"must be at least 1 characters long"}]]' );
+vdb2.setValidator( person, {level:'off'} );
+vdb2.insert( {bogus:1} );
+vdb2.setValidator( null );
+vdb2.insert( {bogus:2} );
+U.test( "vdb2.count() + ' ' + warnings.length", '"4 1"' );
+U.test( "try { vdb2.setValidator( {properties:{a:{tpye:'string'}}} ); } catch(e) { e.message }", '"mongolite: unknown schema keyword \\"tpye\\" at \\"a\\""' );
+U.test( "try { vdb2.setValidator( {type:'str'} ); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "try { vdb2.setValidator( {}, {level:'loud'} ); } catch(e) { e.name }", '"MongoliteError"' );
+
+/*
+    TRANSACTIONS
+*/
+U.p( "\nTRANSACTIONS: " );
+var txn_dir = U.tmp_dir( 'txn' );
+var tdb = mongolite.open( {db_path:require('path').join( txn_dir, 'txn.db' ), adapter:'memory'} );
+tdb.insert( [{_id:1, who:'a', balance:10, since:new Date(0)}, {_id:2, who:'b', balance:0}] );
+tdb.createIndex( {who:1}, {unique:true} );
+tdb.save();
+var txn_events = [];
+tdb.on( 'update', function(info) { txn_events.push( info._id ); } );
+tdb.begin();
+tdb.update( {_id:1}, {$inc:{balance:-5}} );
+tdb.update( {_id:2}, {$inc:{balance:5}} );
+tdb.insert( {_id:3, who:'c'} );
+tdb.remove( {_id:1} );
+tdb.collection('log').insert( {msg:'moved'} );
+U.test( "tdb.find({},{_id:1,balance:1})._data", '[{"_id":2,"balance":5},{"_id":3}]' );
+U.test( "try { tdb.save(); } catch(e) { e.name }", '"MongoliteError"' );
+U.test( "try { tdb.begin(); } catch(e) { e.name }", '"MongoliteError"' );
+tdb.rollback();
+U.test( "tdb.find()._data.map(function(r) { return r._id + ':' + r.balance; }) + ' ' + tdb.isDirty() + ' ' + tdb.listCollections()", '"1:10,2:0 false default"' );
+U.test( "(tdb.master[0].since instanceof Date) + ' ' + txn_events.length", '"true 0"' );
+U.test( "try { tdb.insert( {who:'a'} ); } catch(e) { e.name }", '"DuplicateKeyError"' );
+U.test( "try { tdb.transaction(function(db) { db.insert( {_id:4, who:'d'} ); db.insert( {_id:5, who:'a'} ); }); } catch(e) { e.name + ' ' + tdb.count() }", '"DuplicateKeyError 2"' );
+U.test( "tdb.transaction(function(db) { db.update( {_id:1}, {$set:{balance:7}} ); return db.insert( {_id:4, who:'d'} ); })", '4' );
+U.test( "tdb.count() + ' ' + tdb.isDirty() + ' ' + txn_events", '"3 true 1"' );
+U.test( "try { tdb.commit(); } catch(e) { e.name }", '"MongoliteError"' );
+tdb.transaction(function(db) {
+    return Promise.resolve().then(function() { db.insert( {_id:5, who:'e'} ); });
+}).then(function() {
+    U.p( "\nTRANSACTIONS (async): " );
+    U.test( "tdb.count()", '4' );
+    return tdb.transaction(function(db) {
+        db.remove( {} );
+        return Promise.reject( new Error('no') );
+    });
+}).catch(function(e) {
+    U.test( "tdb.count() + ' ' + tdb._txn", '"4 null"' );
+    U.rm_dir( txn_dir );
+});
+
+/*
+    EVENTS & WATCH
+*/
+U.p( "\nEVENTS & WATCH: " );
+var edb = mongolite.open( {db_name:'EVENTS-UNITTEST.db',data:'[{"_id":1,"s":"open","n":1},{"_id":2,"s":"done","n":2}]'} );
+var events = [], watched = [];
+['insert','update','remove'].forEach(function(e) { edb.on( e, function(info) { events.push( info ); } ); });
+var watcher = edb.watch( {s:'open'}, function(change) { watched.push( change.op + ' ' + change._id ); } );
+edb.insert( {_id:3, s:'open'} );
+edb.update( {_id:1}, {$set:{s:'done'}} );
+edb.update( {_id:2}, {$inc:{n:1}} );
+edb.remove( {s:'done'} );
+U.test( "events[0]", '{"op":"insert","_id":3,"doc":{"_id":3,"s":"open"}}' );
+U.test( "events[1]", '{"op":"update","_id":1,"before":{"_id":1,"s":"open","n":1},"after":{"_id":1,"s":"done","n":1}}' );
+U.test( "events.slice(3).map(function(e) { return e.op + ' ' + e._id; })", '["remove 1","remove 2"]' );
+U.test( "watched", '["insert 3","update 1"]' );
+events[0].doc.s = 'changed';
+U.test( "edb.find({_id:3})._data[0].s", '"open"' );
+watcher.close();
+edb.insert( {_id:4, s:'open'} );
+U.test( "watched.length + ' ' + events.length", '"2 6"' );
+var notes_events = [];
+edb.collection('notes').on( 'insert', function(info) { notes_events.push( info._id ); } );
+edb.collection('notes').insert( {_id:'x'} );
+edb.insert( {_id:5} );
+U.test( "notes_events", '["x"]' );
+var save_events = [];
+var events_dir = U.tmp_dir( 'events' );
+var esdb = mongolite.open( {db_path:require('path').join( events_dir, 'events.db' ), adapter:'memory'} );
+esdb.on( 'save', function(info) { save_events.push( info.journal ); } );
+esdb.insert( {a:1} );
+esdb.save();
+U.test( "save_events", '[false]' );
+U.rm_dir( events_dir );
+U.test( "try { edb.watch( {s:'open'} ); } catch(e) { e.name }", '"MongoliteError"' );
+
+/*
+    SYNC
+*/
+var sync_dir = U.tmp_dir( 'sync' );
+var sync_path = require('path').join( sync_dir, 'sync.db' );
+var sync_open = function() { return mongolite.open( {db_path:sync_path, adapter:'memory', sync:true} ); };
+// BroadcastChannel is node 18+
+if ( typeof BroadcastChannel === "undefined" ) {
+    U.p( "\nSYNC: " );
+    U.test( "try { sync_open(); } catch(e) { e.name }", '"MongoliteError"' );
+    U.rm_dir( sync_dir );
+} else {
+    var tab1 = sync_open(), tab2 = sync_open();
+    var tab2_changes = [];
+    tab2.on( 'change', function(info) { tab2_changes.push( info.skipped.length ); } );
+    tab2.collection('notes').on( 'change', function() { tab2_changes.push( 'notes' ); } );
+    tab2.insert( {_id:10, a:'mine'} );
+    tab2.collection('notes');
+    tab1.insert( {a:'theirs'} );
+    tab1.save();
+    new Promise(function(resolve) { setTimeout( resolve, 50 ); }).then(function() {
+        U.p( "\nSYNC: " );
+        U.test( "tab2_changes", '[0,"notes"]' );
+        U.test( "tab2.find()._data.map(function(r) { return r.a; }).sort() + ' ' + tab2.isDirty()", '"mine,theirs true"' );
+        tab2.save();
+        return new Promise(function(resolve) { setTimeout( resolve, 50 ); });
+    }).then(function() {
+        U.test( "tab1.count() + ' ' + tab1.isDirty()", '"2 false"' );
+        U.test( "try { tab1.on( 'whatever', function() {} ); } catch(e) { e.name }", '"MongoliteError"' );
+        tab2.close();
+        tab1.insert( {a:'more'} );
+        tab1.save();
+        return new Promise(function(resolve) { setTimeout( resolve, 50 ); });
+    }).then(function() {
+        U.test( "tab2_changes.length + ' ' + tab2.count()", '"2 2"' );
+        tab1.close();
+        U.rm_dir( sync_dir );
+    }).catch(function(e) {
+        U.test( JSON.stringify( e.stack ), '"no error"' );
+    });
+}
+
+/*
+    AUTOSAVE
+*/
+var auto_dir = U.tmp_dir( 'auto' );
+var auto_path = function( name ) { return require('path').join( auto_dir, name ); };
+var auto_rows = function( name ) {
+    return require('fs').existsSync( auto_path(name) ) ? JSON.parse( require('fs').readFileSync( auto_path(name), 'utf8' ) ).length : 0;
+};
+var dirty_db = mongolite.open( {db_name:'DIRTY-UNITTEST.db',data:'[{"a":1}]'} );
+var dirty = [ dirty_db.isDirty() ];
+dirty_db.update( {a:1}, {$set:{a:2}} );
+dirty.push( dirty_db.collection('c').isDirty() );
+var im_db = mongolite.open( {db_path:auto_path('im.db'), autosave:true} );
+im_db.insert( [{a:1},{a:2}] );
+var ops_db = mongolite.open( {db_path:auto_path('ops.db'), autosave:{ops:3}} );
+ops_db.insert( [{a:1},{a:2}] );
+var deb_db = mongolite.open( {db_path:auto_path('deb.db'), autosave:30} );
+deb_db.insert( {a:1} );
+var auto_errors = [], killed;
+var err_db = mongolite.open( {db_path:auto_path('missing/err.db'), autosave:true, onerror:function(e) { auto_errors.push( e.name ); }} );
+err_db.insert( {a:1} );
+new Promise(function(resolve) { setTimeout( resolve, 100 ); }).then(function() {
+    U.p( "\nAUTOSAVE: " );
+    U.test( "dirty", '[false,true]' );
+    U.test( "auto_rows('im.db') + ' ' + im_db.isDirty()", '"2 false"' );
+    U.test( "auto_rows('ops.db') + ' ' + ops_db.isDirty()", '"0 true"' );
+    ops_db.insert( {a:3} );
+    deb_db.insert( {a:2} );
+    return new Promise(function(resolve) { setTimeout( resolve, 100 ); });
+}).then(function() {
+    U.test( "auto_rows('ops.db') + ' ' + auto_rows('deb.db')", '"3 2"' );
+    U.test( "auto_errors", '["SaveError"]' );
+    U.test( "try { mongolite.open( {db_name:'X-UNITTEST.db',data:'[]',autosave:'often'} ); } catch(e) { e.name }", '"MongoliteError"' );
+    deb_db.insert( {a:3} );
+    deb_db.close();
+    U.test( "auto_rows('deb.db') + ' ' + deb_db.isDirty()", '"3 false"' );
+    im_db.close();
+    ops_db.close();
+    U.test( "try { err_db.close(); } catch(e) { e.name + ' ' + err_db.autosave }", '"SaveError null"' );
+    var child = "var m = require(" + JSON.stringify( require('path').resolve( __dirname, '../mongolite' ) ) + ");" +
+                "var db = m.open( {db_path:process.argv[1], autosave:60000} ); db.insert( {a:1} );" +
+                "if ( process.argv[2] ) { setTimeout( function() {}, 5000 ); process.kill( process.pid, process.argv[2] ); }";
+    require('child_process').spawnSync( process.execPath, ['-e', child, auto_path('exit.db')], {timeout:10000} );
+    killed = require('child_process').spawnSync( process.execPath, ['-e', child, auto_path('term.db'), 'SIGTERM'], {timeout:10000} );
+    U.test( "auto_rows('exit.db') + ' ' + auto_rows('term.db')", '"1 1"' );
+    U.test( "killed.status", '143' );
+    // an adapter with only saveAsync() is flushed on beforeExit
+    var async_child = "var m = require(" + JSON.stringify( require('path').resolve( __dirname, '../mongolite' ) ) + ");" +
+                      "var a = {loadAsync:function() { return Promise.resolve( null ); }, saveAsync:function(k, d) { return new Promise(function(r) {" +
+                      " setTimeout(function() { require('fs').writeFileSync( process.argv[1], d ); r(); }, 5); }); }};" +
+                      "m.openAsync( {db_path:process.argv[1], adapter:a, autosave:60000} ).then(function(db) { db.insert( {a:1} ); });";
+    require('child_process').spawnSync( process.execPath, ['-e', async_child, auto_path('async.db')], {timeout:10000} );
+    U.test( "auto_rows('async.db')", '1' );
+    U.rm_dir( auto_dir );
+}).catch(function(e) {
+    U.test( JSON.stringify( e.stack ), '"no error"' );
+});